@@ -0,0 +1,37 @@
+"use strict";
+
+import { HomebridgePluginUiServer, RequestError } from '@homebridge/plugin-ui-utils';
+import { DEFAULT_API_URL, sendVerificationCode, twoFactorLogin } from '../lib/cync-api.js';
+
+class CyncUiServer extends HomebridgePluginUiServer {
+
+    constructor() {
+        super();
+
+        this.onRequest('/send-code', (payload) => this.sendCode(payload));
+        this.onRequest('/login', (payload) => this.login(payload));
+
+        this.ready();
+    }
+
+    async sendCode({ email, apiUrl }) {
+        try {
+            await sendVerificationCode(email, apiUrl || DEFAULT_API_URL);
+        }
+        catch (err) {
+            throw new RequestError(`Unable to send verification code: ${err.message}`, { message: err.message });
+        }
+    }
+
+    async login({ email, password, code, apiUrl }) {
+        try {
+            return await twoFactorLogin({ email, password, code }, apiUrl || DEFAULT_API_URL);
+        }
+        catch (err) {
+            throw new RequestError(`Unable to log into Cync: ${err.message}`, { message: err.message });
+        }
+    }
+
+}
+
+(() => new CyncUiServer())();
@@ -1,416 +1,822 @@
 "use strict";
 
-import fetch from 'node-fetch';
+import path from 'node:path';
 import process from 'node:process';
-import net from 'node:net';
-import { Buffer } from 'node:buffer';
+import { EventEmitter } from 'node:events';
 import convert from 'color-convert';
+import { PacketRecorder } from './lib/capture.js';
+import { CyncApi } from './lib/cync-api.js';
+import { CyncConnection } from './lib/connection.js';
+import { ControlServer } from './lib/control-server.js';
+import { MetricsServer } from './lib/metrics.js';
+import { MqttBridge } from './lib/mqtt-bridge.js';
+import { availableEffects, EFFECTS, transitionSteps } from './lib/effects.js';
+import { applyCapabilityOverrides, combinedCapabilities, deviceCapabilities, MAX_STATUS_MESH_ID, meshIDFromDeviceID, modelName, SERVICE_FAN, SERVICE_LIGHTBULB, SERVICE_TYPES } from './lib/devices.js';
+import {
+    PACKET_TYPE_SYNC,
+    PACKET_TYPE_STATUS,
+    PACKET_TYPE_STATUS_SYNC,
+    PACKET_TYPE_CONNECTED,
+    decodeServerMessage,
+    encodeConnectedQuery,
+    encodeSetState,
+    encodeStatusAck,
+    encodeStatusQuery
+} from './lib/protocol.js';
 
 let Service;
 let Characteristic;
-
-const PACKET_TYPE_AUTH = 1;
-const PACKET_TYPE_SYNC = 4;
-const PACKET_TYPE_STATUS = 7;
-const PACKET_TYPE_STATUS_SYNC = 8;
-const PACKET_TYPE_CONNECTED = 10;
-const PACKET_TYPE_PING = 13;
-
-const PACKET_SUBTYPE_SET_STATUS = 0xd0;
-const PACKET_SUBTYPE_SET_BRIGHTNESS = 0xd2;
-const PACKET_SUBTYPE_SET_COLOR_TEMP = 0xe2;
-const PACKET_SUBTYPE_SET_STATE = 0xf0;
-const PACKET_SUBTYPE_GET_STATUS = 0xdb;
-const PACKET_SUBTYPE_GET_STATUS_PAGINATED = 0x52;
-
-const PING_BUFFER = Buffer.alloc(0);
-
-const DEVICES_WITH_BRIGHTNESS = [1,5,6,7,8,9,10,11,13,14,15,17,18,19,20,21,22,23,24,25,26,27,28,29,30,31,32,33,34,35,36,37,48,49,55,56,80,81,82,83,85,128,129,130,131,132,133,134,135,136,137,138,139,140,141,142,143,144,145,146,147,148,149,150,151,152,153,154,156,158,159,160,161,162,163,164,165];
-const DEVICES_WITH_COLOR_TEMP = [5,6,7,8,10,11,14,15,19,20,21,22,23,25,26,28,29,30,31,32,33,34,35,80,82,83,85,129,130,131,132,133,135,136,137,138,139,140,141,142,143,144,145,146,147,153,154,156,158,159,160,161,162,163,164,165];
-const DEVICES_WITH_RGB = [6,7,8,21,22,23,30,31,32,33,34,35,131,132,133,137,138,139,140,141,142,143,146,147,153,154,156,158,159,160,161,162,163,164,165];
-
-class CyncPlatform {
+let HapStatusError;
+let HAPStatus;
+let AdaptiveLightingController;
+let AdaptiveLightingControllerMode;
+
+const DEFAULT_SERVER_HOST = 'cm.gelighting.com';
+const DEFAULT_SERVER_PORT = 23778;
+
+// a device that doesn't answer a connected query in this long is unreachable
+const CONNECTED_TIMEOUT = 30000;
+// how often to ask whether each device is still connected
+const CONNECTED_INTERVAL = 300000;
+// minutes between device discoveries, to pick up devices added, renamed or moved in the Cync app
+const DEFAULT_DISCOVERY_INTERVAL = 60;
+
+// how long a bulb collects changes before sending them as a single update
+const UPDATE_DELAY = 100;
+
+/**
+ * Emits 'state' with the light whenever a light's state or reachability changes, and 'discovered' after each
+ * device discovery.
+ */
+class CyncPlatform extends EventEmitter {
 
     constructor(log, config, api) {
+        super();
         // store restored cached accessories here
         this.accessories = [];
-        this.lights = [];
+        this.accounts = [];
+        this.controlServer = null;
+        this.metricsServer = null;
+        this.mqttBridge = null;
+        this.recorder = null;
         this.log = log;
         this.config = config;
         this.api = api;
-        this.seq = 1;
-        this.connectionTime = 0;
-        this.packetQueue = [];
 
-        this.api.on('didFinishLaunching', () => {
-            this.connect();
-            setInterval(() => this.ping(), 180000);
+        // the account logged in through the Config UI lives at the top level, any others in the accounts list
+        const { accounts = [], ...shared } = config;
+        const accountConfigs = (config.userID ? [{}] : []).concat(accounts);
+        for (const accountConfig of accountConfigs) {
+            const account = new CyncAccount(log, { ...shared, ...accountConfig }, this, accountConfigs.length > 1);
+            account.on('state', (light) => this.emit('state', light));
+            account.on('discovered', () => this.emit('discovered'));
+            this.accounts.push(account);
+        }
 
-            this.authenticate().then(() => {
-                this.registerLights();
+        if ((config.packetLogging && config.packetLogging != 'off') || config.captureFile) {
+            this.recorder = new PacketRecorder(log, {
+                logMode: config.packetLogging || undefined,
+                captureFile: config.captureFile ? path.resolve(api.user.storagePath(), config.captureFile) : undefined
             });
-        });
-    }
+            for (const account of this.accounts) {
+                this.recorder.attach(account.connection);
+            }
+        }
+
+        if (config.metricsPort) {
+            this.metricsServer = new MetricsServer(log, this, {
+                port: config.metricsPort,
+                host: config.metricsHost || undefined
+            });
+            for (const account of this.accounts) {
+                this.metricsServer.attach(account);
+            }
+        }
 
-    async authenticate() {
-        // first, check the access_token
-        this.log.info("Logging into Cync...");
+        this.api.on('didFinishLaunching', () => {
+            this.metricsServer?.start().catch((err) => log.error(`Unable to start the metrics endpoint: ${err.message}`));
+
+            if (config.controlPort) {
+                this.controlServer = new ControlServer(log, this, {
+                    port: config.controlPort,
+                    host: config.controlHost || undefined,
+                    token: config.controlToken || undefined
+                });
+                this.controlServer.start().catch((err) => log.error(`Unable to start the control API: ${err.message}`));
+            }
 
-        let payload = { refresh_token: this.config.refreshToken };
-        let token = await fetch("https://api.gelighting.com/v2/user/token/refresh", {
-            method: 'post',
-            body: JSON.stringify(payload),
-            headers: {'Content-Type': 'application/json'}
+            if (config.mqttUrl) {
+                this.mqttBridge = new MqttBridge(log, this, {
+                    url: config.mqttUrl,
+                    username: config.mqttUsername || undefined,
+                    password: config.mqttPassword || undefined,
+                    topic: config.mqttTopic || undefined,
+                    discoveryPrefix: config.mqttDiscoveryPrefix || undefined
+                });
+                this.mqttBridge.start();
+            }
+
+            if (this.accounts.length == 0) {
+                log.error("No Cync account is configured.  Log into Cync from the plugin settings.");
+            }
+            for (const account of this.accounts) {
+                account.start();
+            }
         });
 
-        const data = await token.json();
-        this.log.info(`Cync login response: ${JSON.stringify(data)}`);
-        this.accessToken = data.access_token;
-        this.log.info(`Access token: ${this.accessToken}`);
-        if (!this.accessToken) {
-            this.log.error("Unable to authenticate with Cync servers.  Please verify you have a valid refresh token.");
-        }
+        this.api.on('shutdown', () => {
+            this.controlServer?.stop();
+            this.metricsServer?.stop();
+            this.mqttBridge?.stop().catch((err) => log.warn(`Unable to disconnect from MQTT: ${err.message}`));
+            for (const account of this.accounts) {
+                account.stop();
+                this.recorder?.detach(account.connection);
+            }
+            this.recorder?.close();
+        });
     }
 
-    connect() {
-        if (!this.connected) {
-            this.log.info("Connecting to Cync servers...");
-            this.socket = net.connect(23778, "cm.gelighting.com");
-            this.socket.on('readable', () => this.readPackets());
-            this.socket.on('end', () => this.disconnect());
+    allLights() {
+        return this.accounts.flatMap((account) => account.allLights());
+    }
 
-            const data = Buffer.alloc(this.config.authorize.length + 10);
-            data.writeUInt8(0x03);
-            data.writeUInt32BE(this.config.userID, 1);
-            data.writeUInt8(this.config.authorize.length, 6);
-            data.write(this.config.authorize, 7, this.config.authorize.length, 'ascii');
-            data.writeUInt8(0xb4, this.config.authorize.length + 9);
-            this.socket.write(this.createPacket(PACKET_TYPE_AUTH, data));
-        }
+    /**
+     * The cached accessories discovered by the given account.  Accessories from before accounts were tracked
+     * belong to the first one.
+     */
+    accountAccessories(account) {
+        return this.accessories.filter((accessory) => accessory.context.userID !== undefined
+            ? accessory.context.userID == account.userID
+            : account === this.accounts[0]);
     }
 
-    disconnect() {
-        this.log.info(`Connection to Cync has closed.`);
-        this.connected = false;
+    /**
+     * The account with a light or group running for the accessory, if any.
+     */
+    accessoryOwner(accessory) {
+        return this.accounts.find((account) => account.allLights().some((light) => light.accessory === accessory));
+    }
+
+    /**
+     * Takes an accessory from whichever other account has it, for a device that moved between accounts.
+     */
+    claimAccessory(accessory, account) {
+        for (const other of this.accounts.filter((other) => other !== account)) {
+            for (const light of other.allLights().filter((light) => light.accessory === accessory)) {
+                other.stopLight(light);
+            }
+        }
 
-        // Don't allow reconnects in any less than 10 seconds since the last successful connection
-        setTimeout(() => this.connect(), Math.max(10000 - Date.now() + this.connectionTime, 0));
+        accessory.context.userID = account.userID;
     }
 
-    handleConnect(packet) {
-        if (packet.data.readUInt16BE() == 0) {
-            this.log.info("Cync server connected.");
-            this.flushQueue();
-            this.connected = true;
-            this.connectionTime = Date.now();
+    removeAccessories(accessories) {
+        for (const accessory of accessories) {
+            this.log.info(`Removing ${accessory.displayName}`);
+            for (const account of this.accounts) {
+                for (const light of account.allLights().filter((light) => light.accessory === accessory)) {
+                    account.stopLight(light);
+                }
+            }
         }
-        else {
-            this.connected = false;
-            this.log.info("Server authentication failed.");
+
+        if (accessories.length > 0) {
+            this.api.unregisterPlatformAccessories('homebridge-cync', 'Cync', accessories);
+            this.accessories = this.accessories.filter((accessory) => !accessories.includes(accessory));
         }
     }
 
-    ping() {
-        if (this.connected) {
-            this.socket.write(this.createPacket(PACKET_TYPE_PING, PING_BUFFER));
+    updateAccessoryInformation(accessory, { model, serialNumber, firmwareRevision }) {
+        const info = accessory.getService(Service.AccessoryInformation);
+        info.setCharacteristic(Characteristic.Manufacturer, 'GE Lighting')
+            .setCharacteristic(Characteristic.Model, model)
+            .setCharacteristic(Characteristic.SerialNumber, serialNumber);
+
+        if (firmwareRevision) {
+            info.setCharacteristic(Characteristic.FirmwareRevision, `${firmwareRevision}`);
         }
     }
 
-    flushQueue() {
-        this.log.info(`Flushing queue of ${this.packetQueue.length} packets.`);
-        while(this.packetQueue.length > 0) {
-            this.socket.write(this.packetQueue.shift());
+    /**
+     * Makes sure the accessory has the given type of service and none of the others, which a cached accessory
+     * might still have from before its device type was recognized.  Returns true if anything changed.
+     */
+    ensureService(accessory, serviceType, name) {
+        // services with a subtype, like effect switches, are extras rather than the device itself
+        const mainService = (type) => accessory.services.find((service) => service.UUID == Service[type].UUID && !service.subtype);
+
+        let changed = false;
+        for (const type of SERVICE_TYPES) {
+            const service = mainService(type);
+            if (type != serviceType && service) {
+                accessory.removeService(service);
+                changed = true;
+            }
+        }
+
+        if (!mainService(serviceType)) {
+            accessory.addService(new Service[serviceType](name));
+            changed = true;
         }
+
+        return changed;
     }
 
-    sendPacket(type, data, log = false) {
-        const packet = this.createPacket(type, data);
-        if (this.connected) {
-            if (log)
-                this.log.info(`Sending packet: ${packet.toString('hex')}`);
+    /**
+     * Shows a new name in HomeKit: on the accessory, its main service, and its effect switches.
+     */
+    renameAccessory(accessory, name) {
+        accessory.displayName = name;
+        for (const service of accessory.services.filter((service) => service.UUID != Service.AccessoryInformation.UUID)) {
+            const effect = service.subtype?.startsWith('effect-') ? EFFECTS[service.subtype.slice('effect-'.length)] : null;
+            if (service.subtype && !effect) {
+                continue;
+            }
 
-            this.socket.write(packet);
+            const serviceName = effect ? `${name} ${effect.title}` : name;
+            service.displayName = serviceName;
+            service.setCharacteristic(Characteristic.Name, serviceName);
+            if (service.testCharacteristic(Characteristic.ConfiguredName)) {
+                service.setCharacteristic(Characteristic.ConfiguredName, serviceName);
+            }
         }
-        else {
-            if (log)
-                this.log.info(`Queueing packet: ${packet.toString('hex')}`);
+    }
 
-            // queue the packet
-            this.packetQueue.push(packet);
-        }
+    /**
+     * REQUIRED - Homebridge will call the "configureAccessory" method once for every cached
+     * accessory restored
+     */
+    configureAccessory(accessory) {
+        this.accessories.push(accessory);
     }
 
-    createPacket(type, data) {
-        const packet = Buffer.alloc(data.length + 5);
-        packet.writeUInt8((type << 4) | 3);
+}
+
+/**
+ * Logs with the account's name in front, so the logs of several accounts can be told apart.
+ */
+function prefixedLog(log, prefix) {
+    const prefixed = (message, ...args) => log(`[${prefix}] ${message}`, ...args);
+    for (const level of ['info', 'warn', 'error', 'debug', 'success']) {
+        prefixed[level] = (message, ...args) => log[level]?.(`[${prefix}] ${message}`, ...args);
+    }
+    return prefixed;
+}
 
-        if (data.length > 0) {
-            packet.writeUInt32BE(data.length, 1);
-            data.copy(packet, 5);
-        }
+/**
+ * One Cync login: its tokens, its connection to the Cync server, and the lights discovered in its homes.  The
+ * lights are the hub their LightBulbs send through.
+ *
+ * Emits 'state' and 'discovered', like the platform.
+ */
+class CyncAccount extends EventEmitter {
 
-        return packet;
+    constructor(log, config, platform, prefixLog) {
+        super();
+        this.lights = [];
+        this.groups = [];
+        // the home of every switch in the account's homes, including excluded ones, which still relay status
+        this.switchHomes = new Map();
+        // accessories this account found but left to another account that shares the home
+        this.sharedUUIDs = new Set();
+        this.authenticated = false;
+        this.reconnected = false;
+        this.discovering = null;
+        this.discoveryTimer = null;
+        this.stopped = false;
+        this.log = prefixLog ? prefixedLog(log, config.name && config.name != platform.config.name ? config.name : config.userID) : log;
+        this.config = config;
+        this.platform = platform;
+        this.api = platform.api;
+        this.userID = config.userID;
+        this.cyncApi = new CyncApi(this.log, {
+            apiUrl: config.apiUrl || undefined,
+            userID: config.userID,
+            refreshToken: config.refreshToken,
+            storagePath: this.api.user.storagePath()
+        });
+        this.connection = new CyncConnection(this.log, {
+            host: config.serverHost || DEFAULT_SERVER_HOST,
+            port: config.serverPort || DEFAULT_SERVER_PORT,
+            userID: config.userID,
+            authorize: config.authorize
+        });
+        this.connection.on('packet', (packet) => this.handlePacket(packet));
+        this.connection.on('connected', () => this.handleConnect());
+        this.connection.on('disconnected', () => this.reconnected = true);
     }
 
-    sendRequest(type, switchID, subtype, request, log = false) {
-        const data = Buffer.alloc(18 + request.length);
-        data.writeUInt32BE(switchID);
-        data.writeUInt16BE(this.seq++, 4);
-        data.writeUInt8(0x7e, 7);
-        data.writeUInt8(0xf8, 12);
-        data.writeUInt8(subtype, 13); // status query subtype
-        data.writeUInt8(request.length, 14);
-        request.copy(data, 18);
+    start() {
+        this.restoreLights();
+        this.connection.start();
 
-        if (log)
-            this.log.info(`Sending request: ${data.toString('hex')}`);
+        this.cyncApi.authenticate().then((authenticated) => {
+            if (authenticated && !this.stopped) {
+                this.authenticated = true;
+                this.discover();
 
-        this.sendPacket(type, data, log);
+                const interval = this.config.discoveryInterval ?? DEFAULT_DISCOVERY_INTERVAL;
+                if (interval > 0) {
+                    this.discoveryTimer = setInterval(() => this.discover(), interval * 60000);
+                }
+            }
+        });
     }
 
-    printPacket(packet) {
-        this.log.info(`Got packet: ${packet.type} (${packet.length}) - ${packet.data.toString('hex')}`);
+    stop() {
+        this.stopped = true;
+        clearInterval(this.discoveryTimer);
+        this.cyncApi.stop();
+        this.connection.stop();
+        for (const light of this.allLights()) {
+            this.clearLightTimers(light);
+        }
     }
 
-    readPackets() {
-        let packet = this.readPacket();
-        while (packet) {
-            // this.printPacket(packet);
-            switch (packet.type) {
-                case PACKET_TYPE_AUTH:
-                    this.handleConnect(packet);
-                    break;
-                case PACKET_TYPE_STATUS:
-                    this.handleStatus(packet);
-                    break;
-                case PACKET_TYPE_SYNC:
-                    this.handleSync(packet);
-                    break;
-                case PACKET_TYPE_STATUS_SYNC:
-                    this.handleStatusSync(packet);
-                    break;
-                case PACKET_TYPE_CONNECTED:
-                    this.handleConnectedDevices(packet);
-                    break;
+    /**
+     * Sets up lights for the accessories cached by the last run, so they respond and show their last known state
+     * before discovery reaches the Cync API, or if it can't.  Discovery refreshes them once it does.
+     */
+    restoreLights() {
+        const accessories = this.platform.accountAccessories(this);
+        for (const accessory of accessories) {
+            const context = accessory.context;
+            // accessories from before the device type was stored wait for discovery
+            if (context.groupID !== undefined || context.switchID === undefined || context.meshID === undefined || context.deviceType === undefined) {
+                continue;
+            }
+
+            const serviceType = applyCapabilityOverrides(deviceCapabilities(context.deviceType), context.capabilities).service;
+            this.platform.ensureService(accessory, serviceType, context.displayName);
+
+            const light = new LightBulb(this.log, accessory, this);
+            this.lights.push(light);
+            // handleConnect queries every light, so only the periodic check needs starting
+            light.updateTimer = setTimeout(() => this.updateConnectedDevice(light), CONNECTED_INTERVAL);
+        }
+
+        if (this.config.groups) {
+            for (const accessory of accessories.filter((accessory) => accessory.context.groupID !== undefined && accessory.context.memberMeshIDs)) {
+                this.groups.push(new LightGroup(this.log, accessory, this));
             }
+        }
+
+        if (this.lights.length > 0) {
+            this.log.info(`Restored ${this.lights.length} cached lights and ${this.groups.length} groups.`);
+        }
+    }
+
+    handleConnect() {
+        // anything may have changed while we were disconnected
+        for (const bulb of this.lights) {
+            this.queryConnectedDevice(bulb);
+        }
+
+        if (this.reconnected && this.authenticated) {
+            this.reconnected = false;
+            this.discover();
+        }
+    }
 
-            packet = this.readPacket();
+    /**
+     * Runs device discovery, unless it's already running or the account has been stopped.
+     */
+    discover() {
+        if (!this.discovering && !this.stopped) {
+            this.discovering = this.registerLights()
+                .catch((err) => this.log.error(`Device discovery failed: ${err.message}`))
+                .finally(() => this.discovering = null);
         }
+
+        return this.discovering;
     }
 
-    readPacket() {
-        // First read the header
-        const header = this.socket.read(5);
-        if (header) {
-            // this.log.info(`Header: ${header.toString('hex')}`);
-            const type = (header.readUInt8() >>> 4);
-            const isResponse = (header.readUInt8() & 8) != 0;
-            const length = header.readUInt32BE(1);
-            // this.log.info(`Got packet header with type ${type}, header ${header.toString('hex')}, length ${length}, isResponse ${isResponse}`);
+    nextSeq() {
+        return this.connection.nextSeq();
+    }
 
-            if (length > 0) {
-                const data = this.socket.read(length);
+    sendPacket(packet, log = false) {
+        this.connection.send(packet, log);
+    }
 
-                // if (!isResponse)
-                //     this.log.info(`Got packet with type ${type}, header ${header.toString('hex')} and body ${data.toString('hex')}`);
+    sendCommand(seq, packet, key) {
+        return this.connection.sendCommand(seq, packet, key);
+    }
 
-                if (data.length == length)
-                {
-                    return {
-                        type: type,
-                        length: length,
-                        isResponse: isResponse,
-                        data: data
-                    }
-                }
-                else {
-                    this.log.info("Packet length doesn't match.");
-                }
-            }
+    handlePacket(packet) {
+        let message;
+        try {
+            message = decodeServerMessage(packet);
+        }
+        catch (err) {
+            this.log.warn(`Unable to decode packet of type ${packet.type}: ${packet.data.toString('hex')}`);
+            return;
         }
 
-        return null;
+        switch (packet.type) {
+            case PACKET_TYPE_STATUS:
+                this.handleStatus(message);
+                break;
+            case PACKET_TYPE_SYNC:
+                this.handleSync(message);
+                break;
+            case PACKET_TYPE_STATUS_SYNC:
+                this.handleStatusSync(message);
+                break;
+            case PACKET_TYPE_CONNECTED:
+                this.handleConnectedDevices(message);
+                break;
+        }
     }
 
     updateConnectedDevice(bulb) {
-        bulb.connected = false;
-
-        // Ask the server if each device is connected
-        const data = Buffer.alloc(7);
-        data.writeUInt32BE(bulb.switchID);
-        data.writeUInt16BE(this.seq++, 4);
-        this.sendPacket(PACKET_TYPE_CONNECTED, data, false);
+        this.queryConnectedDevice(bulb);
 
         // check again in 5 minutes
-        setTimeout(() => { this.updateConnectedDevice(bulb) }, 300000);
+        clearTimeout(bulb.updateTimer);
+        bulb.updateTimer = setTimeout(() => { this.updateConnectedDevice(bulb) }, CONNECTED_INTERVAL);
+    }
+
+    queryConnectedDevice(bulb) {
+        // Ask the server if each device is connected; only connected devices get an answer
+        clearTimeout(bulb.connectedTimer);
+        bulb.connectedTimer = setTimeout(() => bulb.setConnected(false), CONNECTED_TIMEOUT);
+        this.sendPacket(encodeConnectedQuery({ switchID: bulb.switchID, seq: this.nextSeq() }));
     }
 
-    handleConnectedDevices(packet) {
-        const switchID = packet.data.readUInt32BE();
-        const bulb = this.lightBulbBySwitchID(switchID);
-        if (bulb && !bulb.connected) {
-            bulb.connected = true;
+    handleConnectedDevices(message) {
+        const bulb = this.lightBulbBySwitchID(message.switchID);
+        if (bulb) {
+            clearTimeout(bulb.connectedTimer);
+            bulb.setSeen();
+            bulb.setConnected(true);
             setTimeout(() => { this.updateStatus(bulb); });
         }
     }
 
     updateStatus(bulb) {
         if (bulb.connected) {
-            const data = Buffer.alloc(6);
-            data.writeUInt16BE(0xffff);
-            data.writeUInt8(0x56, 4);
-            data.writeUInt8(0x7e, 5);
-            this.sendRequest(PACKET_TYPE_STATUS, bulb.switchID, PACKET_SUBTYPE_GET_STATUS_PAGINATED, data, false);
+            this.sendPacket(encodeStatusQuery({ switchID: bulb.switchID, seq: this.nextSeq() }));
         }
     }
 
-    handleStatus(packet) {
-        const switchID = packet.data.readUInt32BE();
-        const responseID = packet.data.readUInt16BE(4);
-
-        if (!packet.isResponse) {
+    handleStatus(message) {
+        if (message.isResponse) {
+            this.connection.acknowledge(message.seq);
+        }
+        else {
             // send a response
-            const data = Buffer.alloc(7);
-            data.writeUInt32BE(switchID);
-            data.writeUInt16BE(responseID, 4);
-            this.sendPacket(PACKET_TYPE_STATUS, data, false);
-        }
-
-        if (packet.length >= 25) {
-            const subtype = packet.data.readUInt8(13);
-            let status = packet.data;
-            switch (subtype) {
-                case PACKET_SUBTYPE_GET_STATUS:
-                    const meshID = status.readUInt8(21);
-                    const state = status.readUInt8(27) > 0;
-                    const brightness = state ? status.readUInt8(28) : 0;
-
-                    const bulb = this.lightBulbByMeshID(meshID);
-                    if (bulb) {
-                        bulb.updateStatus(state, brightness, bulb.cyncColorTemp, bulb.rgb);
-                    }
-                case PACKET_SUBTYPE_GET_STATUS_PAGINATED:
-                    status = status.subarray(22);
-                    while (status.length > 24) {
-                        const meshID = status.readUInt8();
-                        const state = status.readUInt8(8) > 0;
-                        const brightness = state ? status.readUInt8(12) : 0;
-                        const colorTemp = status.readUInt8(16);
-                        const rgb = [status.readUInt8(20), status.readUInt8(21), status.readUInt8(22)]
-
-                        this.lightBulbByMeshID(meshID)?.updateStatus(state, brightness, colorTemp, rgb);
-                        status = status.subarray(24);
-                    }
-            }
+            this.sendPacket(encodeStatusAck({ switchID: message.switchID, seq: message.seq }));
         }
-        // this.log.info(`Received status packet of length ${packet.length}: ${packet.data.toString('hex')}`);
+
+        this.updateStates(message.switchID, message.states);
+    }
+
+    handleSync(message) {
+        this.updateStates(message.switchID, message.states, true);
     }
 
-    handleSync(packet) {
-        // this.log.info(`Got status packet: ${packet.data.toString('hex')}`);
-        const switchID = packet.data.readUInt32BE();
-        const data = packet.data.subarray(7);
+    handleStatusSync(message) {
+        this.updateStates(message.switchID, message.states, true);
+    }
 
-        for (let offset = 0; offset < data.length; offset += 19) {
-            const status = data.subarray(offset, offset + 19);
-            const meshID = status.readUInt8(3);
-            const isOn = status.readUInt8(4) > 0;
-            const brightness = isOn ? status.readUInt8(5) : 0;
-            const colorTemp = status.readUInt8(6);
+    /**
+     * Applies device states reported by a switch.  Mesh IDs are only unique within a home, so they're looked up in
+     * the home of the switch that reported them.  Pushed states (syncs) may come from changes made outside HomeKit.
+     */
+    updateStates(switchID, states, pushed = false) {
+        const homeID = this.switchHomes.get(switchID) ?? this.lightBulbBySwitchID(switchID)?.homeID;
+        if (homeID === undefined) {
+            this.log.debug(`Ignoring states from unknown switch ${switchID}`);
+            return;
+        }
 
-            const bulb = this.lightBulbByMeshID(meshID);
-            if (bulb) {
-                bulb.updateStatus(isOn, brightness, colorTemp, bulb.rgb);
+        const updated = [];
+        for (const state of states) {
+            const bulb = this.lightBulbByMeshID(homeID, state.meshID);
+            if (!bulb) {
+                this.log.debug(`No light with mesh ID ${state.meshID} in home ${homeID}`);
+                continue;
             }
-        }
-    }
 
-    handleStatusSync(packet) {
-        // this.log.info(`Got status sync packet: ${packet.data.toString('hex')}`);
-        if (packet.length >= 33) {
-            const switchID = packet.data.readUInt32BE();
-            const meshID = packet.data.readUInt8(21);
-            const isOn = packet.data.readUInt8(27) > 0;
-            const brightness = isOn ? packet.data.readUInt8(28) : 0;
+            bulb.setSeen();
+            if (bulb.pendingUpdate) {
+                // the state was reported before a change that's waiting to be sent, and would undo it
+                this.log.debug(`Ignoring reported state of ${bulb.name} while a change is waiting to be sent`);
+                continue;
+            }
 
-            const bulb = this.lightBulbByMeshID(meshID);
-            if (bulb) {
-                // this.log.info(`Updating switch ID ${switchID}, meshID ${meshID} - on? ${isOn}, brightness ${brightness}`);
-                bulb.updateStatus(isOn, brightness, bulb.cyncColorTemp, bulb.rgb);
+            if (pushed) {
+                bulb.handleExternalChange(state);
+            }
+
+            bulb.updateStatus(state.on, state.brightness, state.colorTemp ?? bulb.cyncColorTemp, state.rgb ?? bulb.rgb);
+            updated.push(bulb);
+        }
+
+        for (const group of this.groups) {
+            if (updated.some((bulb) => group.hasMember(bulb))) {
+                group.updateFromMembers();
             }
         }
     }
 
+    allLights() {
+        return [...this.lights, ...this.groups];
+    }
+
     lightBulbBySwitchID(switchID) {
         return this.lights.find((bulb) => bulb.switchID == switchID);
     }
 
-    lightBulbByMeshID(meshID) {
-        return this.lights.find((bulb) => bulb.meshID == meshID);
+    lightBulbByMeshID(homeID, meshID) {
+        return this.lights.find((bulb) => bulb.homeID == homeID && bulb.meshID == meshID);
     }
 
     async registerLights() {
-        if (this.accessToken) {
+        let homes;
+        try {
             this.log.info("Discovering homes...");
-            let r = await fetch(`https://api.gelighting.com/v2/user/${this.config.userID}/subscribe/devices`, {
-                headers: {'Access-Token': this.accessToken}
-            });
-            const data = await r.json();
-            this.log.info(`Received home response: ${JSON.stringify(data)}`);
+            homes = await this.cyncApi.getHomes();
+            this.log.debug(`Received home response: ${JSON.stringify(homes)}`);
+        }
+        catch (err) {
+            if (!this.stopped) {
+                this.log.error(`Unable to discover Cync homes: ${err.message}`);
+            }
+            return;
+        }
 
-            for (const home of data) {
-                let homeR = await fetch(`https://api.gelighting.com/v2/product/${home.product_id}/device/${home.id}/property`, {
-                    headers: {'Access-Token': this.accessToken}
-                });
-                const homeData = await homeR.json();
-                this.log.info(`Received device response: ${JSON.stringify(homeData)}`);
-                if (homeData.bulbsArray && homeData.bulbsArray.length > 0) {
-                    const discovered = [];
-
-                    for (const bulb of homeData.bulbsArray) {
-                        const uuid = this.api.hap.uuid.generate(`${bulb.deviceID}`);
-                        let accessory = this.accessories.find(accessory => accessory.UUID === uuid);
-
-                        if (!accessory) {
-                            // create a new accessory
-                            accessory = new this.api.platformAccessory(bulb.displayName, uuid);
-                            accessory.addService(new Service.Lightbulb(accessory.context.displayName));
-
-                            this.log.info(`Registering bulb ${bulb.displayName}`);
-                            this.api.registerPlatformAccessories('homebridge-cync', 'Cync', [accessory]);
-                        }
-
-                        accessory.context.displayName = bulb.displayName;
-                        accessory.context.deviceID = bulb.deviceID;
-                        accessory.context.meshID = ((bulb.deviceID % home.id) % 1000) + (Math.round((bulb.deviceID % home.id) / 1000) * 256 );
-                        accessory.context.switchID = bulb.switchID;
-                        accessory.context.deviceType = bulb.deviceType;
-
-                        let light = this.lightBulbBySwitchID(accessory.context.switchID);
-                        if (!light) {
-                            light = new LightBulb(this.log, accessory, this);
-                            this.lights.push(light);
-                        }
-
-                        this.updateConnectedDevice(light);
-                        discovered.push(uuid);
-                    }
+        const discovered = [];
+        let complete = Array.isArray(homes);
+        for (const home of complete ? homes : []) {
+            if (!this.includeHome(home)) {
+                this.log.info(`Skipping home ${home.name}`);
+                continue;
+            }
 
-                    const remove = this.accessories.filter((accessory) => !discovered.includes(accessory.UUID));
-                    for (const accessory of remove) {
-                        this.api.unregisterPlatformAccessories('homebridge-cync', 'Cync', [accessory]);
-                    }
+            try {
+                const homeData = await this.cyncApi.getHomeProperties(home);
+                // shut down while waiting for the Cync API
+                if (this.stopped) {
+                    return;
+                }
+                this.log.debug(`Received device response: ${JSON.stringify(homeData)}`);
+                if (!Array.isArray(homeData.bulbsArray)) {
+                    throw new Error('no device list in response');
+                }
+
+                discovered.push(...this.registerHome(home, homeData));
+            }
+            catch (err) {
+                this.log.error(`Unable to discover devices in home ${home.name}: ${err.message}`);
+                complete = false;
+            }
+        }
+
+        // a glitch in the Cync API must never cost anyone their accessories
+        if (complete && discovered.length > 0) {
+            const missing = this.platform.accountAccessories(this).filter((accessory) => !discovered.includes(accessory.UUID));
+            for (const accessory of missing) {
+                if (this.handOver(accessory)) {
+                    this.log.info(`${accessory.displayName} is no longer in this account, leaving it to the account that shares its home.`);
                 }
             }
+            this.platform.removeAccessories(missing.filter((accessory) => accessory.context.userID == this.userID));
+        }
+        else {
+            this.log.warn("Device discovery was incomplete or found nothing, keeping all cached accessories.");
         }
+
+        this.emit('discovered');
     }
 
     /**
-     * REQUIRED - Homebridge will call the "configureAccessory" method once for every cached
-     * accessory restored
+     * Gives an accessory this account no longer finds to another account that shares its home, rather than removing
+     * it.  Returns false if no other account has it.
      */
-    configureAccessory(accessory) {
-        this.accessories.push(accessory);
+    handOver(accessory) {
+        const other = this.platform.accounts.find((other) => other !== this && other.sharedUUIDs.has(accessory.UUID));
+        if (!other) {
+            return false;
+        }
+
+        this.platform.claimAccessory(accessory, other);
+        return true;
+    }
+
+    /**
+     * Whether another account already runs the accessory, for a home shared by both.  Device IDs are the same in
+     * every account, so both would otherwise keep taking the accessory from each other.
+     */
+    sharedWithOtherAccount(accessory, displayName) {
+        const owner = accessory && this.platform.accessoryOwner(accessory);
+        if (!owner || owner === this) {
+            this.sharedUUIDs.delete(accessory?.UUID);
+            return false;
+        }
+
+        if (!this.sharedUUIDs.has(accessory.UUID)) {
+            this.log.warn(`Skipping ${displayName}: account ${owner.userID} shares its home and already added it.`);
+            this.sharedUUIDs.add(accessory.UUID);
+        }
+        return true;
+    }
+
+    includeHome(home) {
+        const homes = this.config.homes ?? [];
+        return homes.length == 0 || homes.some((name) => name == home.name || name == home.id);
+    }
+
+    /**
+     * Per-device settings from the config, matched by device ID or Cync name.
+     */
+    deviceConfig(id, displayName) {
+        return (this.config.devices ?? []).find((device) => device.id == id || device.id == displayName) ?? {};
+    }
+
+    registerHome(home, homeData) {
+        const discovered = [];
+        const meshIDs = new Map();
+
+        for (const bulb of homeData.bulbsArray) {
+            this.switchHomes.set(bulb.switchID, home.id);
+
+            const deviceConfig = this.deviceConfig(bulb.deviceID, bulb.displayName);
+            if (deviceConfig.exclude) {
+                this.log.info(`Excluding ${bulb.displayName}`);
+                continue;
+            }
+
+            // a device skipped below is still in the home, so it keeps any accessory it had
+            const uuid = this.api.hap.uuid.generate(`${bulb.deviceID}`);
+            const meshID = meshIDFromDeviceID(bulb.deviceID, home.id);
+            if (meshID === null) {
+                this.log.warn(`Skipping ${bulb.displayName}: can't work out its mesh ID from device ID ${bulb.deviceID} in home ${home.id}.`);
+                discovered.push(uuid);
+                continue;
+            }
+            if (meshIDs.has(meshID)) {
+                this.log.warn(`Skipping ${bulb.displayName}: it has the same mesh ID (${meshID}) as ${meshIDs.get(meshID)}.`);
+                discovered.push(uuid);
+                continue;
+            }
+            if (meshID > MAX_STATUS_MESH_ID) {
+                this.log.warn(`${bulb.displayName} has mesh ID ${meshID}, which Cync can't report the state of; HomeKit will only show changes made from HomeKit.`);
+            }
+            meshIDs.set(meshID, bulb.displayName);
+
+            const displayName = deviceConfig.name || bulb.displayName;
+            let accessory = this.platform.accessories.find(accessory => accessory.UUID === uuid);
+            if (this.sharedWithOtherAccount(accessory, displayName)) {
+                continue;
+            }
+            let light = this.lights.find((light) => light.accessory === accessory);
+
+            const serviceType = applyCapabilityOverrides(deviceCapabilities(bulb.deviceType), deviceConfig.capabilities).service;
+            if (!accessory) {
+                // create a new accessory
+                accessory = new this.api.platformAccessory(displayName, uuid);
+                this.platform.ensureService(accessory, serviceType, displayName);
+
+                this.log.info(`Registering bulb ${displayName}`);
+                this.api.registerPlatformAccessories('homebridge-cync', 'Cync', [accessory]);
+                this.platform.accessories.push(accessory);
+            }
+            else {
+                if (this.platform.ensureService(accessory, serviceType, displayName)) {
+                    this.log.info(`Changed ${displayName} to a ${serviceType} accessory`);
+                }
+                if (accessory.displayName != displayName) {
+                    this.log.info(`Renamed ${accessory.displayName} to ${displayName}`);
+                    this.platform.renameAccessory(accessory, displayName);
+                }
+            }
+
+            this.platform.claimAccessory(accessory, this);
+            accessory.context.displayName = displayName;
+            accessory.context.homeID = home.id;
+            accessory.context.deviceID = bulb.deviceID;
+            accessory.context.meshID = meshID;
+            accessory.context.switchID = bulb.switchID;
+            accessory.context.deviceType = bulb.deviceType;
+            accessory.context.capabilities = deviceConfig.capabilities;
+            this.platform.updateAccessoryInformation(accessory, {
+                model: modelName(bulb.deviceType),
+                serialNumber: bulb.mac || `${bulb.deviceID}`,
+                firmwareRevision: bulb.firmwareVersion
+            });
+
+            if (light && !this.refreshLight(light)) {
+                light = null;
+            }
+            if (!light) {
+                light = new LightBulb(this.log, accessory, this);
+                this.lights.push(light);
+                this.updateConnectedDevice(light);
+            }
+
+            this.api.updatePlatformAccessories([accessory]);
+            discovered.push(uuid);
+        }
+
+        if (this.config.groups) {
+            discovered.push(...this.registerGroups(home, homeData));
+        }
+
+        return discovered;
+    }
+
+    /**
+     * Updates a light from its rediscovered accessory.  Returns false, having stopped it, if what the device can do
+     * has changed, since its characteristics were set up for the old capabilities.
+     */
+    refreshLight(light) {
+        if (JSON.stringify(light.deviceCapabilities()) != JSON.stringify(light.capabilities)) {
+            this.stopLight(light);
+            return false;
+        }
+
+        light.updateFromContext();
+        return true;
+    }
+
+    /**
+     * Forgets a light, so a new one can take over its accessory or the accessory can be removed.
+     */
+    stopLight(light) {
+        this.clearLightTimers(light);
+        if (light.adaptiveLighting) {
+            light.accessory.removeController(light.adaptiveLighting);
+        }
+        this.lights = this.lights.filter((other) => other !== light);
+        this.groups = this.groups.filter((other) => other !== light);
+    }
+
+    clearLightTimers(light) {
+        light.stopEffect();
+        clearTimeout(light.updateTimer);
+        clearTimeout(light.connectedTimer);
+    }
+
+    registerGroups(home, homeData) {
+        const discovered = [];
+
+        for (const group of homeData.groupsArray ?? []) {
+            const deviceConfig = this.deviceConfig(group.groupID, group.displayName);
+            if (deviceConfig.exclude) {
+                this.log.info(`Excluding ${group.displayName}`);
+                continue;
+            }
+
+            const displayName = deviceConfig.name || group.displayName;
+            const members = this.lights.filter((light) => light.accessory.context.homeID == home.id && group.deviceIDArray?.includes(light.meshID));
+            if (members.length == 0) {
+                continue;
+            }
+
+            const uuid = this.api.hap.uuid.generate(`group-${home.id}-${group.groupID}`);
+            let accessory = this.platform.accessories.find(accessory => accessory.UUID === uuid);
+            if (this.sharedWithOtherAccount(accessory, displayName)) {
+                continue;
+            }
+
+            if (!accessory) {
+                accessory = new this.api.platformAccessory(displayName, uuid);
+                this.platform.ensureService(accessory, SERVICE_LIGHTBULB, displayName);
+
+                this.log.info(`Registering group ${displayName}`);
+                this.api.registerPlatformAccessories('homebridge-cync', 'Cync', [accessory]);
+                this.platform.accessories.push(accessory);
+            }
+            else if (accessory.displayName != displayName) {
+                this.log.info(`Renamed ${accessory.displayName} to ${displayName}`);
+                this.platform.renameAccessory(accessory, displayName);
+            }
+
+            this.platform.claimAccessory(accessory, this);
+            accessory.context.displayName = displayName;
+            accessory.context.homeID = home.id;
+            accessory.context.groupID = group.groupID;
+            accessory.context.meshID = group.groupID;
+            accessory.context.memberMeshIDs = group.deviceIDArray;
+            accessory.context.memberDeviceTypes = members.map((light) => light.accessory.context.deviceType);
+            this.platform.updateAccessoryInformation(accessory, {
+                model: 'Cync Room',
+                serialNumber: `${home.id}-${group.groupID}`
+            });
+
+            const light = this.groups.find((light) => light.accessory === accessory);
+            if (!light || !this.refreshLight(light)) {
+                this.groups.push(new LightGroup(this.log, accessory, this));
+            }
+
+            this.api.updatePlatformAccessories([accessory]);
+
+            discovered.push(uuid);
+        }
+
+        return discovered;
     }
 
 }
@@ -418,13 +824,13 @@ class CyncPlatform {
 class LightBulb {
 
     constructor(log, accessory, hub) {
-        this.connected = false;
+        // null until the server has told us either way
+        this.connected = null;
+        this.connectedTimer = null;
+        this.updateTimer = null;
         this.log = log;
         this.accessory = accessory;
-        this.name = accessory.context.displayName;
-        this.deviceID = accessory.context.deviceID;
-        this.switchID = accessory.context.switchID;
-        this.meshID = accessory.context.meshID;
+        this.updateFromContext();
         this.on = false;
         this.hub = hub;
         this.brightness = 0;
@@ -433,23 +839,182 @@ class LightBulb {
         this.hue = 0;
         this.saturation = 0;
         this.rgb = [0, 0, 0];
+        this.pendingUpdate = null;
+        this.colorChanged = false;
+        this.sentColorTemp = null;
+        this.adaptiveLighting = null;
+        this.effect = null;
+        this.capabilities = this.deviceCapabilities();
+
+        this.onCharacteristic()
+            .onGet(() => this.getOn())
+            .onSet((value) => this.setOn(value == true));
+
+        if (this.capabilities.brightness) {
+            this.brightnessCharacteristic().onSet((value) => this.setBrightness(value));
+        }
+
+        if (this.capabilities.colorTemp) {
+            const [minKelvin, maxKelvin] = this.capabilities.colorTempRange;
+            this.service()
+                .getCharacteristic(Characteristic.ColorTemperature)
+                .setProps({ minValue: Math.ceil(1000000 / maxKelvin), maxValue: Math.floor(1000000 / minKelvin) })
+                .onSet((value, context) => this.setColorTemp(value, context));
 
-        const bulb = accessory.getService(Service.Lightbulb);
-        bulb.getCharacteristic(Characteristic.On).onSet((value) => this.setOn(value));
+            if (this.capabilities.brightness && hub.config.adaptiveLighting !== false) {
+                this.adaptiveLighting = new AdaptiveLightingController(this.service(), {
+                    controllerMode: AdaptiveLightingControllerMode.AUTOMATIC
+                });
+                accessory.configureController(this.adaptiveLighting);
+            }
+        }
 
-        if (DEVICES_WITH_BRIGHTNESS.includes(accessory.context.deviceType)) {
-            bulb.getCharacteristic(Characteristic.Brightness).onSet((value) => this.setBrightness(value));
+        if (this.capabilities.rgb) {
+            this.service().getCharacteristic(Characteristic.Hue).onSet((value) => this.setHue(value));
+            this.service().getCharacteristic(Characteristic.Saturation).onSet((value) => this.setSaturation(value));
         }
 
-        if (DEVICES_WITH_COLOR_TEMP.includes(accessory.context.deviceType)) {
-            bulb.getCharacteristic(Characteristic.ColorTemperature).onSet((value) => this.setColorTemp(value));
+        this.setupEffectSwitches();
+        this.restoreState();
+    }
+
+    /**
+     * Picks up the name and addresses discovery stored in the accessory context.
+     */
+    updateFromContext() {
+        this.name = this.accessory.context.displayName;
+        this.deviceID = this.accessory.context.deviceID;
+        this.switchID = this.accessory.context.switchID;
+        this.meshID = this.accessory.context.meshID;
+        this.homeID = this.accessory.context.homeID;
+    }
+
+    /**
+     * Shows the last known state until the server reports the current one.
+     */
+    restoreState() {
+        const state = this.accessory.context.state;
+        if (state) {
+            this.on = state.on;
+            this.brightness = state.brightness;
+            this.cyncColorTemp = state.colorTemp;
+            this.colorTemp = this.miredsFromCync(this.cyncColorTemp);
+            this.rgb = state.rgb;
+            this.setHSV();
+            this.updateCharacteristics();
         }
+    }
+
+    saveState() {
+        this.accessory.context.state = {
+            on: this.on,
+            brightness: this.brightness,
+            colorTemp: this.cyncColorTemp,
+            rgb: this.rgb
+        };
+    }
+
+    deviceCapabilities() {
+        return applyCapabilityOverrides(deviceCapabilities(this.accessory.context.deviceType), this.accessory.context.capabilities);
+    }
 
-        if (DEVICES_WITH_RGB.includes(accessory.context.deviceType)) {
-            bulb.getCharacteristic(Characteristic.Hue).onSet((value) => this.setHue(value));
-            bulb.getCharacteristic(Characteristic.Saturation).onSet((value) => this.setSaturation(value));
+    isReachable() {
+        return this.connected !== false;
+    }
+
+    /**
+     * Records that the server just reported on the device, for diagnostics.  Kept in the context so it survives a
+     * restart.
+     */
+    setSeen() {
+        this.accessory.context.lastSeen = Date.now();
+    }
+
+    /**
+     * Records whether the server can reach the device.  HomeKit shows unreachable devices as "No Response".
+     */
+    setConnected(connected) {
+        const wasReachable = this.isReachable();
+        this.connected = connected;
+
+        if (wasReachable && !connected) {
+            this.log.warn(`${this.name} is unreachable.`);
+            this.onCharacteristic().updateValue(new HapStatusError(HAPStatus.SERVICE_COMMUNICATION_FAILURE));
+        }
+        else if (!wasReachable && connected) {
+            this.log.info(`${this.name} is reachable again.`);
         }
 
+        if (wasReachable != this.isReachable()) {
+            this.hub.emit('state', this);
+        }
+    }
+
+    getOn() {
+        if (!this.isReachable()) {
+            throw new HapStatusError(HAPStatus.SERVICE_COMMUNICATION_FAILURE);
+        }
+
+        return this.isFan() ? Number(this.on) : this.on;
+    }
+
+    service() {
+        return this.accessory.services.find((service) => service.UUID == Service[this.capabilities.service].UUID && !service.subtype);
+    }
+
+    isFan() {
+        return this.capabilities.service == SERVICE_FAN;
+    }
+
+    onCharacteristic() {
+        return this.service().getCharacteristic(this.isFan() ? Characteristic.Active : Characteristic.On);
+    }
+
+    brightnessCharacteristic() {
+        return this.service().getCharacteristic(this.isFan() ? Characteristic.RotationSpeed : Characteristic.Brightness);
+    }
+
+    /**
+     * Converts Cync's color temperature (0-100, warm to cool, linear in kelvin) to kelvin.
+     */
+    kelvinFromCync(cyncColorTemp) {
+        const [min, max] = this.capabilities.colorTempRange;
+        const percent = Math.min(Math.max(cyncColorTemp, 0), 100);
+        return min + ((max - min) * percent) / 100;
+    }
+
+    miredsFromCync(cyncColorTemp) {
+        return Math.round(1000000 / this.kelvinFromCync(cyncColorTemp));
+    }
+
+    cyncFromMireds(mireds) {
+        const [min, max] = this.capabilities.colorTempRange;
+        const percent = Math.round(((1000000 / mireds - min) * 100) / (max - min));
+        return Math.min(Math.max(percent, 0), 100);
+    }
+
+    /**
+     * Called with state pushed by the server.  A color that doesn't match what we last sent was set from the Cync
+     * app or a remote, so Adaptive Lighting should stop fighting it.
+     */
+    handleExternalChange(state) {
+        if (state.colorTemp === undefined || !this.adaptiveLighting?.isAdaptiveLightingActive()) {
+            return;
+        }
+
+        // allow for rounding between mireds and percent
+        const matches = (colorTemp) => colorTemp !== null && Math.abs(state.colorTemp - colorTemp) <= 1;
+        if (!matches(this.cyncColorTemp) && !matches(this.sentColorTemp)) {
+            this.log.info(`${this.name} changed color outside HomeKit, disabling Adaptive Lighting.`);
+            this.adaptiveLighting.disableAdaptiveLighting();
+        }
+    }
+
+    /**
+     * The switch that relays commands for this light onto the mesh.
+     */
+    controllerSwitchID() {
+        return this.switchID;
     }
 
     getHSV() {
@@ -457,73 +1022,339 @@ class LightBulb {
     }
 
     updateStatus(isOn, brightness, colorTemp, rgb) {
-        // if (isOn != this.on || brightness != this.brightness || colorTemp != this.colorTemp)
-            this.log.info(`Updating ${this.name} with switch ID ${this.switchID}, meshID ${this.meshID} - on? ${isOn}, brightness ${brightness}, temp ${colorTemp}, rgb ${JSON.stringify(rgb)}`);
+        const message = `Updating ${this.name} with switch ID ${this.switchID}, meshID ${this.meshID} - on? ${isOn}, brightness ${brightness}, temp ${colorTemp}, rgb ${JSON.stringify(rgb)}`;
+        // the steps of an effect would flood the log
+        if (!this.effect && (isOn != this.on || brightness != this.brightness || colorTemp != this.cyncColorTemp || rgb.some((value, i) => value != this.rgb[i])))
+            this.log.info(message);
+        else
+            this.log.debug(message);
 
         this.on = isOn;
         this.brightness = brightness;
         this.cyncColorTemp = colorTemp;
-        this.colorTemp = Math.round(((100 - this.cyncColorTemp) * 360) / 100) + 140;
+        this.colorTemp = this.miredsFromCync(this.cyncColorTemp);
         this.rgb = rgb;
         this.setHSV();
+        this.saveState();
+        this.updateCharacteristics();
+        this.hub.emit('state', this);
+    }
+
+    /**
+     * The light and its state, for the control API.
+     */
+    describe() {
+        return {
+            id: this.accessory.UUID,
+            name: this.name,
+            type: this.accessory.context.groupID === undefined ? 'light' : 'group',
+            deviceID: this.deviceID,
+            meshID: this.meshID,
+            reachable: this.isReachable(),
+            capabilities: this.capabilities,
+            effects: this.effects(),
+            effect: this.effect?.name ?? null,
+            state: {
+                on: this.on,
+                brightness: this.brightness,
+                colorTemp: Math.round(this.kelvinFromCync(this.cyncColorTemp)),
+                rgb: this.rgb,
+                hue: this.hue,
+                saturation: this.saturation
+            }
+        };
+    }
+
+    /**
+     * Changes several parts of the state at once, as the control API does.  Color temperature is in kelvin.
+     */
+    applyState(state) {
+        this.changeState(state);
+        return this.scheduleUpdate();
+    }
+
+    /**
+     * Sets parts of the state, as applyState does, without sending them.
+     */
+    changeState({ on, brightness, colorTemp, rgb, hue, saturation }) {
+        this.stopEffect();
+        if (on !== undefined) {
+            this.on = on;
+        }
+        if (brightness !== undefined) {
+            this.brightness = brightness;
+        }
+        if (colorTemp !== undefined) {
+            this.cyncColorTemp = this.cyncFromMireds(1000000 / colorTemp);
+            this.colorTemp = this.miredsFromCync(this.cyncColorTemp);
+        }
+        if (rgb !== undefined) {
+            this.rgb = rgb;
+            this.setHSV();
+        }
+        else if (hue !== undefined || saturation !== undefined) {
+            this.hue = hue ?? this.hue;
+            this.saturation = saturation ?? this.saturation;
+            this.colorChanged = true;
+        }
+    }
+
+    /**
+     * The state as Cync sees it.
+     */
+    cyncState() {
+        return { on: this.on, brightness: this.brightness, colorTemp: this.cyncColorTemp, rgb: this.rgb };
+    }
+
+    setCyncState(state) {
+        this.on = state.on;
+        this.brightness = state.brightness;
+        this.cyncColorTemp = state.colorTemp;
+        this.colorTemp = this.miredsFromCync(this.cyncColorTemp);
+        this.rgb = state.rgb;
+        this.setHSV();
+    }
+
+    /**
+     * Fades to the given state (as for applyState) over duration milliseconds.  Resolves when the fade finishes
+     * or is interrupted.
+     */
+    transition(state, duration) {
+        const from = this.cyncState();
+        this.changeState(state);
+        if (this.colorChanged) {
+            this.colorChanged = false;
+            this.setRGB();
+        }
+
+        const to = this.cyncState();
+        this.setCyncState(from);
+        return this.runSteps('transition', transitionSteps(from, to, duration), null);
+    }
+
+    effects() {
+        return availableEffects(this.capabilities);
+    }
+
+    /**
+     * Starts one of the built-in effects.  It runs until it ends by itself, stopEffect() is called, or the light
+     * is changed some other way; then the light goes back to how it was.
+     */
+    startEffect(name) {
+        if (!this.effects().includes(name)) {
+            throw new Error(`${this.name} can't show the ${name} effect`);
+        }
+
+        this.stopEffect();
+        const start = this.cyncState();
+        this.log.info(`Starting ${name} effect on ${this.name}`);
+        return this.runSteps(name, EFFECTS[name].steps(start), start);
+    }
+
+    /**
+     * Sends each step in turn until they run out or something else stops them.
+     */
+    runSteps(name, steps, restore) {
+        this.stopEffect();
+
+        const effect = { name, steps, restore, timer: null };
+        const done = new Promise((resolve) => effect.resolve = resolve);
+        this.effect = effect;
+
+        const next = () => {
+            if (this.effect !== effect) {
+                return;
+            }
+
+            const step = steps.next();
+            if (step.done) {
+                this.stopEffect(true);
+                return;
+            }
 
-        this.accessory.getService(Service.Lightbulb)
-            .getCharacteristic(Characteristic.On)
-            .updateValue(this.on);
+            this.setCyncState(step.value.state);
+            this.sendUpdate().catch(() => {
+                if (this.effect === effect) {
+                    this.log.warn(`Stopping ${name} on ${this.name}, it isn't responding.`);
+                    this.stopEffect();
+                }
+            });
+            effect.timer = setTimeout(next, step.value.duration);
+        };
+
+        next();
+        this.handleEffectChange();
+        return done;
+    }
+
+    /**
+     * Stops the running transition or effect, if any.  An effect puts back the state from before it started, and
+     * any color temperature Adaptive Lighting set while it ran is applied; with send, that's sent to the light.
+     */
+    stopEffect(send = false) {
+        const effect = this.effect;
+        if (!effect) {
+            return;
+        }
+
+        clearTimeout(effect.timer);
+        this.effect = null;
+        if (effect.restore) {
+            this.setCyncState(effect.restore);
+        }
+        if (effect.colorTemp !== undefined) {
+            this.colorTemp = effect.colorTemp;
+            this.cyncColorTemp = this.cyncFromMireds(this.colorTemp);
+        }
+        if (send && (effect.restore || effect.colorTemp !== undefined)) {
+            this.sendUpdate().catch(() => {});
+        }
+
+        effect.resolve();
+        this.handleEffectChange();
+    }
 
-        if (DEVICES_WITH_BRIGHTNESS.includes(this.accessory.context.deviceType)) {
-            this.accessory.getService(Service.Lightbulb)
-                .getCharacteristic(Characteristic.Brightness)
+    /**
+     * Adds a switch for each effect the light can show, if effect switches are turned on, and removes any that
+     * shouldn't be there.
+     */
+    setupEffectSwitches() {
+        const enabled = this.hub.config.effectSwitches ? this.effects() : [];
+        for (const name of Object.keys(EFFECTS)) {
+            const subtype = `effect-${name}`;
+            let service = this.accessory.getServiceById(Service.Switch, subtype);
+
+            if (!enabled.includes(name)) {
+                if (service) {
+                    this.accessory.removeService(service);
+                }
+                continue;
+            }
+
+            if (!service) {
+                service = this.accessory.addService(Service.Switch, `${this.name} ${EFFECTS[name].title}`, subtype);
+            }
+
+            service.getCharacteristic(Characteristic.On)
+                .onGet(() => this.effect?.name == name)
+                .onSet((value) => {
+                    if (value) {
+                        this.startEffect(name);
+                    }
+                    else if (this.effect?.name == name) {
+                        this.stopEffect(true);
+                    }
+                });
+        }
+    }
+
+    handleEffectChange() {
+        for (const name of Object.keys(EFFECTS)) {
+            this.accessory.getServiceById(Service.Switch, `effect-${name}`)
+                ?.getCharacteristic(Characteristic.On)
+                .updateValue(this.effect?.name == name);
+        }
+
+        this.hub.emit('state', this);
+    }
+
+    updateCharacteristics() {
+        this.onCharacteristic()
+            .updateValue(this.isFan() ? Number(this.on) : this.on);
+
+        if (this.capabilities.brightness) {
+            this.brightnessCharacteristic()
                 .updateValue(this.brightness);
         }
 
-        if (DEVICES_WITH_COLOR_TEMP.includes(this.accessory.context.deviceType)) {
-            this.accessory.getService(Service.Lightbulb)
+        if (this.capabilities.colorTemp) {
+            this.service()
                 .getCharacteristic(Characteristic.ColorTemperature)
                 .updateValue(this.colorTemp);
         }
 
-        if (DEVICES_WITH_RGB.includes(this.accessory.context.deviceType)) {
-            this.accessory.getService(Service.Lightbulb)
+        if (this.capabilities.rgb) {
+            this.service()
                 .getCharacteristic(Characteristic.Hue)
                 .updateValue(this.hue);
 
-            this.accessory.getService(Service.Lightbulb)
+            this.service()
                 .getCharacteristic(Characteristic.Saturation)
                 .updateValue(this.saturation);
         }
     }
 
+    /**
+     * Collects changes made within UPDATE_DELAY (a slider drag, or a scene setting several characteristics) into a
+     * single update.  Every caller gets the result of that update.
+     */
+    scheduleUpdate() {
+        if (!this.pendingUpdate) {
+            this.pendingUpdate = new Promise((resolve, reject) => {
+                setTimeout(() => {
+                    this.pendingUpdate = null;
+                    if (this.colorChanged) {
+                        this.colorChanged = false;
+                        this.setRGB();
+                    }
+                    this.sendUpdate().then(resolve, reject);
+                }, UPDATE_DELAY);
+            });
+        }
+
+        return this.pendingUpdate;
+    }
+
     sendUpdate() {
-        const request = Buffer.alloc(16);
-        request.writeUInt16BE(this.meshID, 3);
-        request.writeUInt8(PACKET_SUBTYPE_SET_STATE, 5);
-        request.writeUInt8(this.on, 8);
-        request.writeUInt8(this.brightness, 9);
-        request.writeUInt8(this.cyncColorTemp, 10);
-        request.writeUInt8(this.rgb[0], 11);
-        request.writeUInt8(this.rgb[1], 12);
-        request.writeUInt8(this.rgb[2], 13);
-        request.writeUInt8((496 + this.meshID + (this.on ? 1 : 0) + this.brightness + this.cyncColorTemp + this.rgb[0] + this.rgb[1] + this.rgb[2]) % 256, 14);
-        request.writeUInt8(0x7e, 15);
-        this.log.info(`Sending update for ${this.name}: ${request.toString('hex')}`);
-        this.hub.sendRequest(PACKET_TYPE_STATUS, this.switchID, PACKET_SUBTYPE_SET_STATE, request, false);
+        const seq = this.hub.nextSeq();
+        const packet = encodeSetState({
+            switchID: this.controllerSwitchID(),
+            seq: seq,
+            meshID: this.meshID,
+            on: this.on,
+            brightness: this.brightness,
+            colorTemp: this.cyncColorTemp,
+            rgb: this.rgb
+        });
+        this.sentColorTemp = this.cyncColorTemp;
+        if (this.effect)
+            this.log.debug(`Sending update for ${this.name}: ${packet.toString('hex')}`);
+        else
+            this.log.info(`Sending update for ${this.name}: ${packet.toString('hex')}`);
+        return this.hub.sendCommand(seq, packet, this.accessory.UUID).catch((err) => {
+            this.log.warn(`Update for ${this.name} failed: ${err.message}`);
+            throw new HapStatusError(HAPStatus.SERVICE_COMMUNICATION_FAILURE);
+        });
     }
 
     setOn(value) {
+        this.stopEffect();
         this.on = value;
-        this.sendUpdate();
+        return this.scheduleUpdate();
     }
 
     setBrightness(value) {
+        this.stopEffect();
         this.brightness = value;
-        this.sendUpdate();
+        return this.scheduleUpdate();
     }
 
-    setColorTemp(value) {
+    setColorTemp(value, context) {
+        // Adaptive Lighting sets the color temperature every few minutes; that mustn't cancel a fade or effect, so
+        // the latest value is kept for when the effect ends
+        if (context?.controller && context.controller === this.adaptiveLighting) {
+            if (this.effect) {
+                this.effect.colorTemp = value;
+                return;
+            }
+        }
+        else {
+            this.stopEffect();
+        }
+
         this.colorTemp = value;
-        this.cyncColorTemp = 100 - Math.round(((this.colorTemp - 140) * 100) / 360);
-        this.sendUpdate();
+        this.cyncColorTemp = this.cyncFromMireds(this.colorTemp);
+        return this.scheduleUpdate();
     }
 
     setHSV() {
@@ -537,15 +1368,82 @@ class LightBulb {
     }
 
     setHue(value) {
+        this.stopEffect();
         this.hue = value;
-        this.setRGB();
-        this.sendUpdate();
+        this.colorChanged = true;
+        return this.scheduleUpdate();
     }
 
     setSaturation(value) {
+        this.stopEffect();
         this.saturation = value;
-        this.setRGB();
-        this.sendUpdate();
+        this.colorChanged = true;
+        return this.scheduleUpdate();
+    }
+
+}
+
+/**
+ * A Cync room or group, controlled with a single mesh command addressed to the group.  Its state is derived from
+ * the state of its member bulbs.
+ */
+class LightGroup extends LightBulb {
+
+    updateFromContext() {
+        super.updateFromContext();
+        this.memberMeshIDs = this.accessory.context.memberMeshIDs;
+    }
+
+    deviceCapabilities() {
+        return combinedCapabilities(this.accessory.context.memberDeviceTypes);
+    }
+
+    members() {
+        return this.hub.lights.filter((bulb) => bulb.homeID == this.homeID && this.memberMeshIDs.includes(bulb.meshID));
+    }
+
+    hasMember(bulb) {
+        return this.members().includes(bulb);
+    }
+
+    isReachable() {
+        return this.members().some((bulb) => bulb.isReachable());
+    }
+
+    controllerSwitchID() {
+        const members = this.members();
+        return (members.find((bulb) => bulb.connected) ?? members.find((bulb) => bulb.isReachable()) ?? members[0])?.switchID ?? 0;
+    }
+
+    sendUpdate() {
+        return super.sendUpdate().then(() => {
+            // the members' own status updates will follow, but don't leave HomeKit showing the old state until then
+            if (this.effect) {
+                return;
+            }
+            for (const bulb of this.members()) {
+                bulb.updateStatus(this.on, this.brightness, this.cyncColorTemp, this.rgb);
+            }
+        });
+    }
+
+    /**
+     * On if any member is on, at the average brightness of the members that are on, with the color of the first.
+     */
+    updateFromMembers() {
+        const members = this.members().filter((bulb) => bulb.isReachable());
+        const on = members.filter((bulb) => bulb.on);
+        if (members.length == 0) {
+            return;
+        }
+
+        if (on.length > 0) {
+            const brightness = Math.round(on.reduce((sum, bulb) => sum + bulb.brightness, 0) / on.length);
+            this.updateStatus(true, brightness, on[0].cyncColorTemp, on[0].rgb);
+        }
+        else {
+            this.updateStatus(false, 0, members[0].cyncColorTemp, members[0].rgb);
+        }
     }
 
 }
@@ -553,5 +1451,9 @@ class LightBulb {
 export default (api) => {
     Service = api.hap.Service;
     Characteristic = api.hap.Characteristic;
+    HapStatusError = api.hap.HapStatusError;
+    HAPStatus = api.hap.HAPStatus;
+    AdaptiveLightingController = api.hap.AdaptiveLightingController;
+    AdaptiveLightingControllerMode = api.hap.AdaptiveLightingControllerMode;
     api.registerPlatform("Cync", CyncPlatform);
 }
\ No newline at end of file
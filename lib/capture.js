@@ -0,0 +1,103 @@
+"use strict";
+
+import { createWriteStream } from 'node:fs';
+import { Buffer } from 'node:buffer';
+import {
+    PACKET_TYPE_AUTH,
+    decodeClientMessage,
+    decodePacket,
+    decodeServerMessage,
+    encodePacket
+} from './protocol.js';
+
+export const PACKET_LOG_OFF = 'off';
+export const PACKET_LOG_HEX = 'hex';
+export const PACKET_LOG_DECODED = 'decoded';
+
+export const DIRECTION_IN = 'in';
+export const DIRECTION_OUT = 'out';
+
+/**
+ * Decodes a packet as the side that receives it would.  Never throws: a packet the decoders don't understand is
+ * exactly what a capture is for.
+ */
+export function decodeMessage(direction, packet) {
+    try {
+        return direction == DIRECTION_IN ? decodeServerMessage(packet) : decodeClientMessage(packet);
+    }
+    catch (err) {
+        return { type: 'invalid', error: err.message };
+    }
+}
+
+/**
+ * JSON with buffers as hex strings, rather than arrays of bytes.
+ */
+export function messageToJSON(message) {
+    return JSON.stringify(message, function (key, value) {
+        return Buffer.isBuffer(this[key]) ? this[key].toString('hex') : value;
+    });
+}
+
+/**
+ * Logs the packets going over a Cync connection, and records them to a capture file that bin/replay-capture can
+ * play back.  Each line of the file is a JSON object: { time, direction, hex, message }.
+ *
+ * The login packet carries the account's authorize token, so it's never logged or recorded.
+ */
+export class PacketRecorder {
+
+    constructor(log, { logMode = PACKET_LOG_OFF, captureFile }) {
+        this.log = log;
+        this.logMode = logMode;
+        this.captureFile = captureFile;
+        this.stream = null;
+        this.handleSent = (buffer) => this.record(DIRECTION_OUT, decodePacket(buffer), buffer);
+        this.handleReceived = (packet) => this.record(DIRECTION_IN, packet, encodePacket(packet.type, packet.data, packet.isResponse));
+    }
+
+    attach(connection) {
+        if (this.captureFile && !this.stream) {
+            this.stream = createWriteStream(this.captureFile, { flags: 'a' });
+            this.stream.on('error', (err) => {
+                this.log.error(`Unable to write packet capture ${this.captureFile}: ${err.message}`);
+                this.stream = null;
+            });
+            this.log.info(`Recording Cync packets to ${this.captureFile}`);
+        }
+
+        connection.on('sent', this.handleSent);
+        connection.on('received', this.handleReceived);
+    }
+
+    detach(connection) {
+        connection.off('sent', this.handleSent);
+        connection.off('received', this.handleReceived);
+    }
+
+    close() {
+        this.stream?.end();
+        this.stream = null;
+    }
+
+    record(direction, packet, buffer) {
+        if (!packet || (this.logMode == PACKET_LOG_OFF && !this.stream)) {
+            return;
+        }
+
+        const redacted = packet.type == PACKET_TYPE_AUTH && direction == DIRECTION_OUT;
+        const hex = redacted ? null : buffer.toString('hex');
+        const message = redacted ? { type: 'auth' } : decodeMessage(direction, packet);
+        const arrow = direction == DIRECTION_IN ? '<-' : '->';
+
+        if (this.logMode == PACKET_LOG_HEX) {
+            this.log.info(`${arrow} ${packet.type} ${hex ?? '(login)'}`);
+        }
+        else if (this.logMode == PACKET_LOG_DECODED) {
+            this.log.info(`${arrow} ${messageToJSON(message)}`);
+        }
+
+        this.stream?.write(`${messageToJSON({ time: new Date().toISOString(), direction, hex, message })}\n`);
+    }
+
+}
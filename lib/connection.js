@@ -0,0 +1,383 @@
+"use strict";
+
+import net from 'node:net';
+import { EventEmitter } from 'node:events';
+import {
+    PACKET_TYPE_AUTH,
+    decodeServerMessage,
+    encodeAuth,
+    encodePing,
+    PacketReader
+} from './protocol.js';
+
+export const STATE_IDLE = 'idle';
+export const STATE_CONNECTING = 'connecting';
+export const STATE_AUTHENTICATING = 'authenticating';
+export const STATE_CONNECTED = 'connected';
+export const STATE_BACKOFF = 'backoff';
+export const STATE_FAILED = 'failed';
+export const STATE_STOPPED = 'stopped';
+
+const CONNECT_TIMEOUT = 15000;
+const PING_INTERVAL = 180000;
+const PING_TIMEOUT = 30000;
+const MIN_BACKOFF = 5000;
+const MAX_BACKOFF = 5 * 60 * 1000;
+// give up once the server has rejected the credentials this many times in a row
+const MAX_AUTH_FAILURES = 3;
+// resend a command if the server hasn't acknowledged it in this long
+const ACK_TIMEOUT = 2000;
+const MAX_SEND_ATTEMPTS = 3;
+// fail a command if it hasn't been acknowledged in this long, whether or not we were connected; HomeKit gives up on
+// a characteristic write after 10 seconds
+const COMMAND_TTL = 8000;
+// packets queued while disconnected are dropped after this long
+const QUEUE_TTL = 30000;
+// minimum time between commands, so a scene changing dozens of lights doesn't flood the connection
+const COMMAND_INTERVAL = 50;
+
+/**
+ * Keeps a connection to the Cync TCP server alive.  Reconnects with jittered exponential backoff whenever the
+ * socket closes, errors or stops answering pings, and gives up if the server keeps rejecting the credentials.
+ *
+ * Commands sent with sendCommand() are tracked by sequence number until the server acknowledges them, and are
+ * resent if the acknowledgement doesn't arrive in time.  They're written at most one per COMMAND_INTERVAL.
+ *
+ * Emits 'state' on every state change, 'connected' once authenticated, and 'packet' for every packet other than
+ * the authentication response.  'sent' and 'received' report all traffic, for debugging, and 'command' reports how
+ * each command ended: { seq, result, latency }, where result is acknowledged, replaced or failed.
+ */
+export class CyncConnection extends EventEmitter {
+
+    constructor(log, { host, port, userID, authorize }) {
+        super();
+        this.log = log;
+        this.host = host;
+        this.port = port;
+        this.userID = userID;
+        this.authorize = authorize;
+        this.state = STATE_IDLE;
+        this.socket = null;
+        this.attempts = 0;
+        this.authFailures = 0;
+        this.reconnectTimer = null;
+        this.timeoutTimer = null;
+        this.pingTimer = null;
+        this.packetQueue = [];
+        this.commands = new Map();
+        this.writeQueue = [];
+        this.writeTimer = null;
+        this.seq = 0;
+    }
+
+    get connected() {
+        return this.state == STATE_CONNECTED;
+    }
+
+    setState(state) {
+        if (state != this.state) {
+            this.log.debug(`Cync connection ${this.state} -> ${state}`);
+            this.state = state;
+            this.emit('state', state);
+        }
+    }
+
+    start() {
+        if (this.state == STATE_IDLE || this.state == STATE_FAILED || this.state == STATE_STOPPED) {
+            this.attempts = 0;
+            this.authFailures = 0;
+            this.connect();
+        }
+    }
+
+    stop() {
+        this.setState(STATE_STOPPED);
+        this.clearTimers();
+        this.socket?.destroy();
+        this.socket = null;
+
+        for (const command of this.commands.values()) {
+            this.finishCommand(command, new Error('connection stopped'));
+        }
+    }
+
+    /**
+     * Returns the next sequence number.  They're 16 bits on the wire and 0 is never used.
+     */
+    nextSeq() {
+        this.seq = (this.seq % 0xffff) + 1;
+        return this.seq;
+    }
+
+    connect() {
+        this.clearTimers();
+        this.setState(STATE_CONNECTING);
+        this.log.info("Connecting to Cync servers...");
+
+        const reader = new PacketReader();
+        reader.on('packet', (packet) => this.handlePacket(packet));
+        reader.on('corrupt', (header, bytes) => this.drop(`corrupt packet header ${bytes} (length ${header.length})`));
+
+        const socket = net.connect(this.port, this.host);
+        this.socket = socket;
+        socket.setNoDelay(true);
+        socket.on('connect', () => {
+            this.setState(STATE_AUTHENTICATING);
+            this.write(encodeAuth({ userID: this.userID, authorize: this.authorize }));
+        });
+        socket.on('data', (chunk) => reader.push(chunk));
+        socket.on('error', (err) => this.log.warn(`Cync connection error: ${err.message}`));
+        socket.on('close', () => this.handleClose(socket));
+
+        this.timeoutTimer = setTimeout(() => this.drop('timed out connecting'), CONNECT_TIMEOUT);
+    }
+
+    /**
+     * Abandons the current socket.  The close handler takes care of reconnecting.
+     */
+    drop(reason) {
+        this.log.warn(`Dropping Cync connection: ${reason}.`);
+        this.socket?.destroy();
+    }
+
+    handleClose(socket) {
+        if (socket !== this.socket) {
+            return;
+        }
+
+        const wasConnected = this.connected;
+        this.socket = null;
+        this.clearTimers();
+
+        if (this.state == STATE_FAILED || this.state == STATE_STOPPED) {
+            return;
+        }
+
+        this.log.info(`Connection to Cync has closed.`);
+        for (const command of this.commands.values()) {
+            // resend once we're reconnected
+            clearTimeout(command.ackTimer);
+            command.sent = false;
+        }
+        if (wasConnected) {
+            this.emit('disconnected');
+        }
+        this.scheduleReconnect();
+    }
+
+    scheduleReconnect() {
+        // pick a random delay in the upper half of the exponential delay
+        const delay = Math.min(MIN_BACKOFF * Math.pow(2, this.attempts), MAX_BACKOFF);
+        const jittered = Math.round(delay / 2 + Math.random() * delay / 2);
+        this.attempts++;
+
+        this.setState(STATE_BACKOFF);
+        this.log.info(`Reconnecting to Cync in ${Math.round(jittered / 1000)}s.`);
+        this.reconnectTimer = setTimeout(() => this.connect(), jittered);
+    }
+
+    clearTimers() {
+        clearTimeout(this.reconnectTimer);
+        clearTimeout(this.timeoutTimer);
+        clearInterval(this.pingTimer);
+        clearTimeout(this.writeTimer);
+        this.reconnectTimer = null;
+        this.timeoutTimer = null;
+        this.pingTimer = null;
+        this.writeTimer = null;
+    }
+
+    write(packet) {
+        this.socket.write(packet);
+        this.emit('sent', packet);
+    }
+
+    handlePacket(packet) {
+        // any traffic shows the connection is alive
+        clearTimeout(this.timeoutTimer);
+        this.timeoutTimer = null;
+        this.emit('received', packet);
+
+        if (packet.type == PACKET_TYPE_AUTH) {
+            this.handleAuth(decodeServerMessage(packet));
+        }
+        else if (this.connected) {
+            this.emit('packet', packet);
+        }
+    }
+
+    handleAuth(message) {
+        if (message.success) {
+            this.log.info("Cync server connected.");
+            this.attempts = 0;
+            this.authFailures = 0;
+            this.setState(STATE_CONNECTED);
+            this.pingTimer = setInterval(() => this.ping(), PING_INTERVAL);
+            this.flushQueue();
+            this.emit('connected');
+        }
+        else if (++this.authFailures >= MAX_AUTH_FAILURES) {
+            this.log.error("Cync server authentication failed.  Log in again to get a new authorize token.");
+            this.setState(STATE_FAILED);
+            this.clearTimers();
+            this.socket?.destroy();
+        }
+        else {
+            this.log.warn("Cync server authentication failed.");
+            this.socket?.destroy();
+        }
+    }
+
+    ping() {
+        if (this.connected) {
+            this.write(encodePing());
+            if (!this.timeoutTimer) {
+                this.timeoutTimer = setTimeout(() => this.drop('no response to ping'), PING_TIMEOUT);
+            }
+        }
+    }
+
+    flushQueue() {
+        const now = Date.now();
+        const packets = this.packetQueue.filter((queued) => now - queued.time < QUEUE_TTL);
+        const commands = [...this.commands.values()].filter((command) => !command.sent);
+        this.log.info(`Flushing queue of ${packets.length + commands.length} packets, dropped ${this.packetQueue.length - packets.length} expired.`);
+
+        this.packetQueue = [];
+        for (const queued of packets) {
+            this.write(queued.packet);
+        }
+        for (const command of commands) {
+            this.writeCommand(command);
+        }
+    }
+
+    /**
+     * Sends a packet, or queues it until the connection is back up.  Packets are dropped if the connection has
+     * given up or been stopped, since nothing would ever flush them.
+     */
+    send(packet, log = false) {
+        if (this.connected) {
+            if (log)
+                this.log.info(`Sending packet: ${packet.toString('hex')}`);
+
+            this.write(packet);
+        }
+        else if (this.state == STATE_FAILED || this.state == STATE_STOPPED) {
+            this.log.debug(`Dropping packet while the connection is ${this.state}: ${packet.toString('hex')}`);
+        }
+        else {
+            if (log)
+                this.log.info(`Queueing packet: ${packet.toString('hex')}`);
+
+            // anything this old would be dropped by flushQueue anyway
+            const now = Date.now();
+            this.packetQueue = this.packetQueue.filter((queued) => now - queued.time < QUEUE_TTL);
+            this.packetQueue.push({ packet: packet, time: now });
+        }
+    }
+
+    /**
+     * Sends a command and resolves once the server acknowledges its sequence number, resending it if needed.
+     * Rejects if it isn't acknowledged in time.  A command with the same key as one still in flight replaces it, so
+     * a retry can never overwrite a newer state.
+     */
+    sendCommand(seq, packet, key = null) {
+        if (key !== null) {
+            for (const command of this.commands.values()) {
+                if (command.key === key) {
+                    command.replaced = true;
+                    this.finishCommand(command);
+                }
+            }
+        }
+
+        return new Promise((resolve, reject) => {
+            const command = { seq, packet, key, resolve, reject, attempts: 0, sent: false, ackTimer: null, created: Date.now() };
+            command.expiryTimer = setTimeout(() => {
+                this.finishCommand(command, new Error(`command ${seq} was not acknowledged`));
+            }, COMMAND_TTL);
+            this.commands.set(seq, command);
+
+            if (this.connected) {
+                this.writeCommand(command);
+            }
+        });
+    }
+
+    writeCommand(command) {
+        if (!this.writeQueue.includes(command)) {
+            this.writeQueue.push(command);
+        }
+        this.drainWrites();
+    }
+
+    drainWrites() {
+        if (this.writeTimer) {
+            return;
+        }
+
+        // skip anything that finished or lost its connection while waiting
+        let command = this.writeQueue.shift();
+        while (command && !(this.commands.has(command.seq) && this.connected)) {
+            command = this.writeQueue.shift();
+        }
+
+        if (command) {
+            this.transmit(command);
+            this.writeTimer = setTimeout(() => {
+                this.writeTimer = null;
+                this.drainWrites();
+            }, COMMAND_INTERVAL);
+        }
+    }
+
+    transmit(command) {
+        if (command.attempts >= MAX_SEND_ATTEMPTS) {
+            this.finishCommand(command, new Error(`command ${command.seq} was not acknowledged after ${command.attempts} attempts`));
+            return;
+        }
+
+        command.attempts++;
+        command.sent = true;
+        this.write(command.packet);
+        command.ackTimer = setTimeout(() => {
+            if (this.connected) {
+                this.log.debug(`No acknowledgement for command ${command.seq}, resending.`);
+                this.writeCommand(command);
+            }
+        }, ACK_TIMEOUT);
+    }
+
+    /**
+     * Completes the command with the given sequence number.  Returns false if no command was waiting for it.
+     */
+    acknowledge(seq) {
+        const command = this.commands.get(seq);
+        if (command) {
+            this.finishCommand(command);
+            return true;
+        }
+
+        return false;
+    }
+
+    finishCommand(command, err = null) {
+        clearTimeout(command.ackTimer);
+        clearTimeout(command.expiryTimer);
+        this.commands.delete(command.seq);
+        this.emit('command', {
+            seq: command.seq,
+            result: err ? 'failed' : command.replaced ? 'replaced' : 'acknowledged',
+            latency: Date.now() - command.created
+        });
+
+        if (err) {
+            command.reject(err);
+        }
+        else {
+            command.resolve();
+        }
+    }
+
+}
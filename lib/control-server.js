@@ -0,0 +1,275 @@
+"use strict";
+
+import http from 'node:http';
+import { Buffer } from 'node:buffer';
+import { WebSocketServer } from 'ws';
+import { EFFECTS } from './effects.js';
+
+export const DEFAULT_CONTROL_HOST = '127.0.0.1';
+
+// a set command is a few numbers, anything much bigger isn't one
+const MAX_BODY_LENGTH = 4096;
+
+// the fields a set command may change, with their ranges
+const NUMBER_FIELDS = {
+    brightness: [0, 100],
+    colorTemp: [1000, 10000],
+    hue: [0, 360],
+    saturation: [0, 100],
+    // seconds
+    transition: [0, 3600]
+};
+
+class RequestError extends Error {
+
+    constructor(message, status) {
+        super(message);
+        this.name = 'RequestError';
+        this.status = status;
+    }
+
+}
+
+/**
+ * Checks a set command and returns just the fields it changes.
+ */
+function parseState(body) {
+    const state = {};
+    if (body.on !== undefined) {
+        if (typeof body.on != 'boolean') {
+            throw new RequestError('on must be true or false', 400);
+        }
+        state.on = body.on;
+    }
+
+    for (const [field, [min, max]] of Object.entries(NUMBER_FIELDS)) {
+        if (body[field] !== undefined) {
+            if (typeof body[field] != 'number' || body[field] < min || body[field] > max) {
+                throw new RequestError(`${field} must be a number from ${min} to ${max}`, 400);
+            }
+            state[field] = field == 'transition' ? body[field] : Math.round(body[field]);
+        }
+    }
+
+    if (body.rgb !== undefined) {
+        if (!Array.isArray(body.rgb) || body.rgb.length != 3 || body.rgb.some((value) => !Number.isInteger(value) || value < 0 || value > 255)) {
+            throw new RequestError('rgb must be three numbers from 0 to 255', 400);
+        }
+        state.rgb = body.rgb;
+    }
+
+    if (body.effect !== undefined) {
+        if (body.effect != 'none' && !Object.keys(EFFECTS).includes(body.effect)) {
+            throw new RequestError(`effect must be one of none, ${Object.keys(EFFECTS).join(', ')}`, 400);
+        }
+        state.effect = body.effect;
+    }
+
+    if (Object.keys(state).length == 0) {
+        throw new RequestError('nothing to change', 400);
+    }
+
+    return state;
+}
+
+/**
+ * A local HTTP API for controlling lights without HomeKit.
+ *
+ *   GET  /lights        every light and group with its state
+ *   GET  /lights/:id    a single light
+ *   PUT  /lights/:id    changes a light: { on, brightness, colorTemp (kelvin), rgb, hue, saturation }, fading over
+ *                       transition seconds if given, or starts or stops an effect: { effect }
+ *
+ * WebSocket clients connecting to /events get a 'lights' message with every light, then a 'state' message whenever
+ * one changes.  If a token is configured, every request needs an "Authorization: Bearer <token>" header.  Browsers
+ * can't set headers on a WebSocket, so /events also takes the token as a "token" query parameter or as the WebSocket
+ * subprotocol.
+ */
+export class ControlServer {
+
+    constructor(log, platform, { port, host = DEFAULT_CONTROL_HOST, token }) {
+        this.log = log;
+        this.platform = platform;
+        this.port = port;
+        this.host = host;
+        this.token = token;
+        this.handleState = (light) => this.broadcast({ type: 'state', light: light.describe() });
+
+        this.httpServer = http.createServer((req, res) => this.handleRequest(req, res));
+        this.wsServer = new WebSocketServer({ noServer: true });
+        this.httpServer.on('upgrade', (req, socket, head) => this.handleUpgrade(req, socket, head));
+    }
+
+    async start() {
+        await new Promise((resolve, reject) => {
+            this.httpServer.once('error', reject);
+            this.httpServer.listen(this.port, this.host, () => {
+                this.httpServer.off('error', reject);
+                resolve();
+            });
+        });
+
+        this.platform.on('state', this.handleState);
+        this.log.info(`Control API listening on http://${this.host}:${this.httpServer.address().port}`);
+    }
+
+    async stop() {
+        this.platform.off('state', this.handleState);
+        for (const client of this.wsServer.clients) {
+            client.terminate();
+        }
+        this.httpServer.closeAllConnections();
+        await new Promise((resolve) => this.httpServer.close(resolve));
+    }
+
+    authorized(req) {
+        return !this.token || req.headers.authorization == `Bearer ${this.token}`;
+    }
+
+    authorizedUpgrade(req) {
+        if (this.authorized(req)) {
+            return true;
+        }
+
+        const protocols = (req.headers['sec-websocket-protocol'] ?? '').split(',').map((protocol) => protocol.trim());
+        return new URL(req.url, 'http://localhost').searchParams.get('token') == this.token || protocols.includes(this.token);
+    }
+
+    lightByID(id) {
+        const light = this.platform.allLights().find((light) => light.accessory.UUID == id);
+        if (!light) {
+            throw new RequestError(`no light ${id}`, 404);
+        }
+
+        return light;
+    }
+
+    async handleRequest(req, res) {
+        const send = (status, payload) => {
+            res.writeHead(status, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify(payload));
+        };
+
+        try {
+            if (!this.authorized(req)) {
+                throw new RequestError('unauthorized', 401);
+            }
+
+            const url = new URL(req.url, 'http://localhost');
+            const route = url.pathname.split('/').filter((part) => part);
+            const handled = await this.route(req, route);
+            if (handled === undefined) {
+                throw new RequestError('not found', 404);
+            }
+
+            send(200, handled);
+        }
+        catch (err) {
+            if (!(err instanceof RequestError)) {
+                this.log.warn(`Control API request ${req.method} ${req.url} failed: ${err.message}`);
+            }
+            send(err.status ?? 500, { error: err.message });
+        }
+    }
+
+    /**
+     * Handles a request for the given path segments.  Resolves to the response, or undefined if nothing matches.
+     */
+    async route(req, route) {
+        if (route[0] != 'lights' || route.length > 2) {
+            return undefined;
+        }
+
+        if (route.length == 1 && req.method == 'GET') {
+            return this.platform.allLights().map((light) => light.describe());
+        }
+
+        if (route.length == 2 && req.method == 'GET') {
+            return this.lightByID(route[1]).describe();
+        }
+
+        if (route.length == 2 && (req.method == 'PUT' || req.method == 'POST')) {
+            const light = this.lightByID(route[1]);
+            const { effect, transition, ...state } = parseState(await this.readBody(req));
+            if (effect == 'none') {
+                light.stopEffect(true);
+            }
+            else if (effect) {
+                if (!light.effects().includes(effect)) {
+                    throw new RequestError(`${light.name} can't show the ${effect} effect`, 400);
+                }
+                light.startEffect(effect);
+            }
+            else if (transition) {
+                // a fade can take much longer than anyone wants to wait for a response
+                light.transition(state, transition * 1000);
+            }
+            else if (Object.keys(state).length > 0) {
+                try {
+                    await light.applyState(state);
+                }
+                catch (err) {
+                    throw new RequestError(`${light.name} did not respond`, 504);
+                }
+            }
+
+            return light.describe();
+        }
+
+        return undefined;
+    }
+
+    async readBody(req) {
+        const chunks = [];
+        let length = 0;
+        for await (const chunk of req) {
+            length += chunk.length;
+            if (length > MAX_BODY_LENGTH) {
+                throw new RequestError('request too large', 413);
+            }
+            chunks.push(chunk);
+        }
+
+        let body;
+        try {
+            body = JSON.parse(Buffer.concat(chunks).toString());
+        }
+        catch (err) {
+            throw new RequestError('request body is not JSON', 400);
+        }
+
+        if (typeof body != 'object' || body === null || Array.isArray(body)) {
+            throw new RequestError('request body must be an object', 400);
+        }
+
+        return body;
+    }
+
+    handleUpgrade(req, socket, head) {
+        if (new URL(req.url, 'http://localhost').pathname != '/events') {
+            socket.end('HTTP/1.1 404 Not Found\r\n\r\n');
+            return;
+        }
+        if (!this.authorizedUpgrade(req)) {
+            socket.end('HTTP/1.1 401 Unauthorized\r\n\r\n');
+            return;
+        }
+
+        this.wsServer.handleUpgrade(req, socket, head, (client) => {
+            // a client sending garbage must not take Homebridge down with it
+            client.on('error', (err) => {
+                this.log.debug(`Control API WebSocket client error: ${err.message}`);
+                client.terminate();
+            });
+            client.send(JSON.stringify({ type: 'lights', lights: this.platform.allLights().map((light) => light.describe()) }));
+        });
+    }
+
+    broadcast(message) {
+        const data = JSON.stringify(message);
+        for (const client of this.wsServer.clients) {
+            client.send(data);
+        }
+    }
+
+}
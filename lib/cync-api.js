@@ -0,0 +1,296 @@
+"use strict";
+
+import fetch from 'node-fetch';
+import path from 'node:path';
+import { readFile, writeFile } from 'node:fs/promises';
+
+export const DEFAULT_API_URL = 'https://api.gelighting.com/v2';
+
+// identifies the Cync app to the login endpoints
+const CORP_ID = '1007d2ad150c4000';
+const RESOURCE = 'abcdefghijk';
+
+// refresh the access token this long before it expires
+const REFRESH_MARGIN = 5 * 60 * 1000;
+const MIN_RETRY_DELAY = 5000;
+const MAX_RETRY_DELAY = 10 * 60 * 1000;
+// setTimeout can't wait any longer than this
+const MAX_TIMEOUT = 0x7fffffff;
+
+export class CyncApiError extends Error {
+
+    constructor(message, status, code) {
+        super(message);
+        this.name = 'CyncApiError';
+        this.status = status;
+        this.code = code;
+    }
+
+    /**
+     * Client errors mean the request itself was rejected (bad or revoked credentials), so retrying won't help.  A
+     * timeout or rate limit is the exception: the same request can succeed later.
+     */
+    get isPermanent() {
+        return this.status >= 400 && this.status < 500 && this.status != 408 && this.status != 429;
+    }
+
+}
+
+async function post(apiUrl, endpoint, body) {
+    const response = await fetch(`${apiUrl}${endpoint}`, {
+        method: 'post',
+        body: JSON.stringify(body),
+        headers: { 'Content-Type': 'application/json' }
+    });
+
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+        throw new CyncApiError(data.error?.msg ?? `HTTP ${response.status}`, response.status, data.error?.code);
+    }
+
+    return data;
+}
+
+/**
+ * Asks Cync to email a two-factor verification code to the account's address.
+ */
+export async function sendVerificationCode(email, apiUrl = DEFAULT_API_URL) {
+    await post(apiUrl, '/two_factor/email/verifycode', { corp_id: CORP_ID, email: email, local_lang: 'en-us' });
+}
+
+/**
+ * Logs in with a password and the emailed verification code, and returns the settings the plugin needs.
+ */
+export async function twoFactorLogin({ email, password, code }, apiUrl = DEFAULT_API_URL) {
+    const data = await post(apiUrl, '/user_auth/two_factor', {
+        corp_id: CORP_ID,
+        email: email,
+        password: password,
+        two_factor: code,
+        resource: RESOURCE
+    });
+
+    if (!data.user_id || !data.refresh_token || !data.authorize) {
+        throw new CyncApiError('incomplete login response', 400);
+    }
+
+    return {
+        userID: `${data.user_id}`,
+        refreshToken: data.refresh_token,
+        authorize: data.authorize
+    };
+}
+
+/**
+ * Client for the Cync REST API.  Keeps the access token fresh by refreshing it ahead of its expiry, and persists
+ * the rotated refresh token to Homebridge storage so it survives restarts.
+ */
+export class CyncApi {
+
+    constructor(log, { apiUrl = DEFAULT_API_URL, userID, refreshToken, storagePath }) {
+        this.log = log;
+        this.apiUrl = apiUrl;
+        this.userID = userID;
+        this.configRefreshToken = refreshToken;
+        this.refreshToken = refreshToken;
+        this.storageFile = storagePath ? path.join(storagePath, `cync-${userID}.json`) : null;
+        this.accessToken = null;
+        this.expiresAt = 0;
+        this.refreshing = null;
+        this.refreshTimer = null;
+        this.retryTimer = null;
+        this.wakeRetry = null;
+        this.stopped = false;
+    }
+
+    async loadTokens() {
+        if (!this.storageFile) {
+            return;
+        }
+
+        try {
+            const stored = JSON.parse(await readFile(this.storageFile, 'utf8'));
+
+            // a refresh token entered in the config after the stored one was saved wins
+            if (stored.configRefreshToken == this.configRefreshToken && stored.refreshToken) {
+                this.refreshToken = stored.refreshToken;
+                this.log.debug('Loaded stored Cync refresh token.');
+            }
+        }
+        catch (err) {
+            if (err.code != 'ENOENT') {
+                this.log.warn(`Unable to read stored Cync tokens: ${err.message}`);
+            }
+        }
+    }
+
+    async saveTokens() {
+        if (!this.storageFile) {
+            return;
+        }
+
+        try {
+            const stored = { configRefreshToken: this.configRefreshToken, refreshToken: this.refreshToken };
+            await writeFile(this.storageFile, JSON.stringify(stored), { mode: 0o600 });
+        }
+        catch (err) {
+            this.log.warn(`Unable to store Cync tokens: ${err.message}`);
+        }
+    }
+
+    /**
+     * Logs in with the refresh token, retrying with backoff while the Cync servers can't be reached.  Resolves to
+     * false if the refresh token was rejected, or if stopped before it finished.
+     */
+    async authenticate() {
+        this.log.info("Logging into Cync...");
+        await this.loadTokens();
+
+        try {
+            await this.refresh();
+            if (this.stopped) {
+                return false;
+            }
+            this.log.info("Logged into Cync.");
+            return true;
+        }
+        catch (err) {
+            if (this.stopped) {
+                return false;
+            }
+            this.log.error(`Unable to authenticate with Cync servers (${err.message}).  Please verify you have a valid refresh token.`);
+            return false;
+        }
+    }
+
+    /**
+     * Stops refreshing the access token, including a refresh that's waiting to retry.
+     */
+    stop() {
+        this.stopped = true;
+        clearTimeout(this.refreshTimer);
+        clearTimeout(this.retryTimer);
+        this.refreshTimer = null;
+        this.retryTimer = null;
+        this.wakeRetry?.();
+    }
+
+    /**
+     * Refreshes the access token.  Concurrent callers share a single refresh.
+     */
+    refresh() {
+        if (!this.refreshing) {
+            this.refreshing = this.refreshWithRetry().finally(() => this.refreshing = null);
+        }
+
+        return this.refreshing;
+    }
+
+    async refreshWithRetry() {
+        let delay = MIN_RETRY_DELAY;
+        for (;;) {
+            try {
+                return await this.refreshOnce();
+            }
+            catch (err) {
+                if ((err instanceof CyncApiError && err.isPermanent) || this.stopped) {
+                    throw err;
+                }
+
+                this.log.warn(`Unable to refresh Cync access token (${err.message}), retrying in ${Math.round(delay / 1000)}s.`);
+                await new Promise((resolve) => {
+                    this.retryTimer = setTimeout(resolve, delay);
+                    this.wakeRetry = resolve;
+                });
+                this.retryTimer = null;
+                this.wakeRetry = null;
+                if (this.stopped) {
+                    throw new Error('stopped');
+                }
+                delay = Math.min(delay * 2, MAX_RETRY_DELAY);
+            }
+        }
+    }
+
+    async refreshOnce() {
+        const data = await this.request('/user/token/refresh', {
+            method: 'post',
+            body: { refresh_token: this.refreshToken }
+        }, false);
+
+        if (!data.access_token) {
+            throw new CyncApiError('no access token in response', 400);
+        }
+
+        this.accessToken = data.access_token;
+        this.expiresAt = data.expire_in ? Date.now() + data.expire_in * 1000 : 0;
+        this.log.debug('Refreshed Cync access token.');
+
+        if (data.refresh_token && data.refresh_token != this.refreshToken) {
+            this.refreshToken = data.refresh_token;
+            await this.saveTokens();
+        }
+
+        this.scheduleRefresh();
+        return this.accessToken;
+    }
+
+    scheduleRefresh() {
+        clearTimeout(this.refreshTimer);
+        if (this.expiresAt > 0 && !this.stopped) {
+            const delay = Math.min(Math.max(this.expiresAt - Date.now() - REFRESH_MARGIN, 0), MAX_TIMEOUT);
+            this.refreshTimer = setTimeout(() => {
+                this.refresh().catch((err) => this.log.error(`Unable to refresh Cync access token: ${err.message}`));
+            }, delay);
+        }
+    }
+
+    async getAccessToken() {
+        if (!this.accessToken || (this.expiresAt > 0 && Date.now() >= this.expiresAt - REFRESH_MARGIN)) {
+            await this.refresh();
+        }
+
+        return this.accessToken;
+    }
+
+    /**
+     * Makes a request to the Cync API and returns the parsed response.  Authenticated requests that are rejected
+     * because the access token expired early are retried once with a fresh token.
+     */
+    async request(endpoint, { method = 'get', body } = {}, authenticated = true) {
+        for (let attempt = 0; ; attempt++) {
+            const headers = { 'Content-Type': 'application/json' };
+            if (authenticated) {
+                headers['Access-Token'] = await this.getAccessToken();
+            }
+
+            const response = await fetch(`${this.apiUrl}${endpoint}`, {
+                method: method,
+                body: body ? JSON.stringify(body) : undefined,
+                headers: headers
+            });
+
+            const data = await response.json().catch(() => ({}));
+            if (response.ok) {
+                return data;
+            }
+
+            if (authenticated && attempt == 0 && (response.status == 401 || response.status == 403)) {
+                this.log.debug(`Cync rejected access token for ${endpoint}, refreshing.`);
+                this.accessToken = null;
+                continue;
+            }
+
+            throw new CyncApiError(data.error?.msg ?? `HTTP ${response.status}`, response.status, data.error?.code);
+        }
+    }
+
+    getHomes() {
+        return this.request(`/user/${this.userID}/subscribe/devices`);
+    }
+
+    getHomeProperties(home) {
+        return this.request(`/product/${home.product_id}/device/${home.id}/property`);
+    }
+
+}
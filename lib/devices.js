@@ -0,0 +1,162 @@
+"use strict";
+
+/*
+ * What each Cync deviceType can do, and which HomeKit service represents it.
+ */
+
+export const DEVICES_WITH_BRIGHTNESS = [1,5,6,7,8,9,10,11,13,14,15,17,18,19,20,21,22,23,24,25,26,27,28,29,30,31,32,33,34,35,36,37,48,49,55,56,80,81,82,83,85,128,129,130,131,132,133,134,135,136,137,138,139,140,141,142,143,144,145,146,147,148,149,150,151,152,153,154,156,158,159,160,161,162,163,164,165];
+export const DEVICES_WITH_COLOR_TEMP = [5,6,7,8,10,11,14,15,19,20,21,22,23,25,26,28,29,30,31,32,33,34,35,80,82,83,85,129,130,131,132,133,135,136,137,138,139,140,141,142,143,144,145,146,147,153,154,156,158,159,160,161,162,163,164,165];
+export const DEVICES_WITH_RGB = [6,7,8,21,22,23,30,31,32,33,34,35,131,132,133,137,138,139,140,141,142,143,146,147,153,154,156,158,159,160,161,162,163,164,165];
+
+export const DEVICES_PLUG = [64,65,66,67,68];
+export const DEVICES_FAN = [81];
+// on/off wall switches; the dimmer switches are in DEVICES_WITH_BRIGHTNESS and show up as lights
+export const DEVICES_SWITCH = [51,52,53,54,57,58,59,61,62,63];
+
+export const SERVICE_LIGHTBULB = 'Lightbulb';
+export const SERVICE_OUTLET = 'Outlet';
+export const SERVICE_SWITCH = 'Switch';
+export const SERVICE_FAN = 'Fanv2';
+
+export const SERVICE_TYPES = [SERVICE_LIGHTBULB, SERVICE_OUTLET, SERVICE_SWITCH, SERVICE_FAN];
+
+// the white range Cync's 0-100 color temperature covers, in kelvin; the percentage is linear in kelvin
+export const DEFAULT_COLOR_TEMP_RANGE = [2000, 7000];
+
+// the white range of each family of tunable lights, from their spec sheets; anything else gets the default
+export const COLOR_TEMP_RANGES = [
+    // C by GE Bluetooth tunable white bulbs
+    { deviceTypes: [5,10,11,14,15,19,20,25,26,28,29], range: [2700, 6500] },
+    // C by GE Bluetooth full color bulbs and strips
+    { deviceTypes: [6,7,8,21,22,23,30,31,32,33,34,35], range: [2000, 7000] },
+    // Cync Direct Connect tunable white bulbs
+    { deviceTypes: [129,130,135,136,144,145], range: [2000, 7000] },
+    // Cync Direct Connect full color bulbs, strips and fixtures
+    { deviceTypes: [131,132,133,137,138,139,140,141,142,143,146,147,153,154,156,158,159,160,161,162,163,164,165], range: [2000, 7000] }
+];
+
+// the largest mesh ID the status packets can carry; commands carry two bytes
+export const MAX_STATUS_MESH_ID = 0xff;
+
+/**
+ * The white range a device type covers, in kelvin.
+ */
+export function colorTempRange(deviceType) {
+    return COLOR_TEMP_RANGES.find((family) => family.deviceTypes.includes(deviceType))?.range ?? DEFAULT_COLOR_TEMP_RANGE;
+}
+
+/**
+ * Describes a device type: the HomeKit service it should appear as, and which of brightness, color temperature
+ * and RGB it supports.
+ */
+export function deviceCapabilities(deviceType) {
+    let service = SERVICE_LIGHTBULB;
+    if (DEVICES_PLUG.includes(deviceType)) {
+        service = SERVICE_OUTLET;
+    }
+    else if (DEVICES_FAN.includes(deviceType)) {
+        service = SERVICE_FAN;
+    }
+    else if (DEVICES_SWITCH.includes(deviceType)) {
+        service = SERVICE_SWITCH;
+    }
+
+    const lightbulb = service == SERVICE_LIGHTBULB;
+    return {
+        service: service,
+        // fans use brightness for their speed
+        brightness: DEVICES_WITH_BRIGHTNESS.includes(deviceType) && (lightbulb || service == SERVICE_FAN),
+        colorTemp: DEVICES_WITH_COLOR_TEMP.includes(deviceType) && lightbulb,
+        rgb: DEVICES_WITH_RGB.includes(deviceType) && lightbulb,
+        colorTempRange: colorTempRange(deviceType)
+    };
+}
+
+/**
+ * Applies capabilities forced in the config, for device types this plugin doesn't know or gets wrong.
+ */
+export function applyCapabilityOverrides(capabilities, overrides) {
+    if (!overrides) {
+        return capabilities;
+    }
+
+    const result = { ...capabilities };
+    if (SERVICE_TYPES.includes(overrides.service)) {
+        result.service = overrides.service;
+    }
+    for (const key of ['brightness', 'colorTemp', 'rgb']) {
+        if (typeof overrides[key] == 'boolean') {
+            result[key] = overrides[key];
+        }
+    }
+    if (overrides.minKelvin || overrides.maxKelvin) {
+        result.colorTempRange = [overrides.minKelvin || capabilities.colorTempRange[0], overrides.maxKelvin || capabilities.colorTempRange[1]];
+    }
+
+    return result;
+}
+
+/**
+ * Combines the capabilities of several devices, as for a group: a light that can do anything any member can.
+ */
+export function combinedCapabilities(deviceTypes) {
+    const all = deviceTypes.map((deviceType) => deviceCapabilities(deviceType));
+    const colorTemp = all.filter((capabilities) => capabilities.colorTemp);
+    return {
+        service: SERVICE_LIGHTBULB,
+        brightness: all.some((capabilities) => capabilities.brightness),
+        colorTemp: colorTemp.length > 0,
+        rgb: all.some((capabilities) => capabilities.rgb),
+        colorTempRange: colorTemp.length > 0
+            ? [Math.max(...colorTemp.map((c) => c.colorTempRange[0])), Math.min(...colorTemp.map((c) => c.colorTempRange[1]))]
+            : DEFAULT_COLOR_TEMP_RANGE
+    };
+}
+
+/**
+ * Works out a device's mesh ID, the address commands and status use on the Bluetooth mesh, from its device ID.  The
+ * device ID's remainder by the home ID holds the address's high byte in its thousands and its low byte in the rest
+ * (home 123456 has device 123456003 at mesh ID 3, and 123457002 at 1 * 256 + 2).  Returns null for a device ID that
+ * doesn't fit, since guessing would send its commands to some other device.
+ *
+ * Status and sync packets carry the mesh ID in a single byte, so a device above MAX_STATUS_MESH_ID can be controlled
+ * but never reports its state.
+ */
+export function meshIDFromDeviceID(deviceID, homeID) {
+    const index = deviceID % homeID;
+    const low = index % 1000;
+    const high = Math.floor(index / 1000);
+    if (!Number.isInteger(index) || low == 0 || low > 0xff || high > 0xff) {
+        return null;
+    }
+
+    return high * 256 + low;
+}
+
+/**
+ * A readable model name for a device type, for the HomeKit accessory information.
+ */
+export function modelName(deviceType) {
+    const capabilities = deviceCapabilities(deviceType);
+    let name = 'Light';
+    if (capabilities.service == SERVICE_OUTLET) {
+        name = 'Smart Plug';
+    }
+    else if (capabilities.service == SERVICE_FAN) {
+        name = 'Fan Controller';
+    }
+    else if (capabilities.service == SERVICE_SWITCH) {
+        name = 'Switch';
+    }
+    else if (capabilities.rgb) {
+        name = 'Full Color Light';
+    }
+    else if (capabilities.colorTemp) {
+        name = 'Tunable White Light';
+    }
+    else if (capabilities.brightness) {
+        name = 'Dimmable Light';
+    }
+
+    return `Cync ${name} (type ${deviceType})`;
+}
@@ -0,0 +1,111 @@
+"use strict";
+
+import convert from 'color-convert';
+import { SERVICE_LIGHTBULB } from './devices.js';
+
+/*
+ * Transitions and effects, as sequences of states in Cync's units (brightness 0-100, color temperature 0-100 warm
+ * to cool, RGB 0-255) for a light to step through.  Each step is { state, duration }: the state to send, and how
+ * long to hold it.
+ */
+
+export const EFFECT_FLASH = 'flash';
+export const EFFECT_CANDLE = 'candle';
+export const EFFECT_COLOR_LOOP = 'colorloop';
+
+// time between the steps of a transition; the connection sends at most one command every 50ms, for every light
+export const TRANSITION_STEP = 250;
+
+const FLASH_COUNT = 3;
+const FLASH_DURATION = 500;
+const CANDLE_COLOR = [255, 147, 41];
+const COLOR_LOOP_STEP = 400;
+const COLOR_LOOP_HUE_STEP = 10;
+
+function mix(from, to, fraction) {
+    return Math.round(from + (to - from) * fraction);
+}
+
+/**
+ * The steps of a fade between two states.  Lights turning on or off fade from or to their lowest brightness.
+ */
+export function* transitionSteps(from, to, duration) {
+    if (!from.on && !to.on) {
+        yield { state: to, duration: 0 };
+        return;
+    }
+
+    const start = from.on ? from : { ...to, brightness: 1 };
+    const end = to.on ? to : { ...from, brightness: 1 };
+    const count = Math.max(1, Math.round(duration / TRANSITION_STEP));
+
+    for (let i = 1; i <= count; i++) {
+        const fraction = i / count;
+        yield {
+            state: {
+                on: true,
+                brightness: mix(start.brightness, end.brightness, fraction),
+                colorTemp: mix(start.colorTemp, end.colorTemp, fraction),
+                rgb: start.rgb.map((value, channel) => mix(value, end.rgb[channel], fraction))
+            },
+            duration: duration / count
+        };
+    }
+
+    if (!to.on) {
+        yield { state: to, duration: 0 };
+    }
+}
+
+/**
+ * The built-in effects.  steps() gets the light's state when the effect starts; an effect whose steps end puts the
+ * light back in that state afterwards.
+ */
+export const EFFECTS = {
+    [EFFECT_FLASH]: {
+        title: 'Flash',
+        supports: () => true,
+        *steps(start) {
+            for (let i = 0; i < FLASH_COUNT; i++) {
+                yield { state: { ...start, on: true, brightness: 100 }, duration: FLASH_DURATION };
+                yield { state: { ...start, on: false }, duration: FLASH_DURATION };
+            }
+        }
+    },
+    [EFFECT_CANDLE]: {
+        title: 'Candle',
+        supports: (capabilities) => capabilities.brightness && (capabilities.colorTemp || capabilities.rgb),
+        *steps(start) {
+            const base = start.on ? Math.max(start.brightness, 30) : 60;
+            const warm = { ...start, on: true, colorTemp: 0, rgb: CANDLE_COLOR };
+            for (;;) {
+                const flicker = 0.6 + Math.random() * 0.4;
+                yield { state: { ...warm, brightness: Math.round(base * flicker) }, duration: 100 + Math.random() * 300 };
+            }
+        }
+    },
+    [EFFECT_COLOR_LOOP]: {
+        title: 'Color Loop',
+        supports: (capabilities) => capabilities.rgb,
+        *steps(start) {
+            let hue = convert.rgb.hsv(start.rgb)[0];
+            const brightness = start.on ? start.brightness : 100;
+            for (;;) {
+                hue = (hue + COLOR_LOOP_HUE_STEP) % 360;
+                yield { state: { ...start, on: true, brightness, rgb: convert.hsv.rgb([hue, 100, 100]) }, duration: COLOR_LOOP_STEP };
+            }
+        }
+    }
+};
+
+/**
+ * The names of the effects a light with the given capabilities can show.  Only lights get effects: flashing an
+ * outlet or a fan isn't much of an effect.
+ */
+export function availableEffects(capabilities) {
+    if (capabilities.service != SERVICE_LIGHTBULB) {
+        return [];
+    }
+
+    return Object.keys(EFFECTS).filter((name) => EFFECTS[name].supports(capabilities));
+}
@@ -0,0 +1,283 @@
+"use strict";
+
+import http from 'node:http';
+import {
+    PACKET_TYPE_AUTH,
+    PACKET_TYPE_CONNECTED,
+    PACKET_TYPE_PING,
+    PACKET_TYPE_STATUS,
+    PACKET_TYPE_STATUS_SYNC,
+    PACKET_TYPE_SYNC,
+    decodePacket
+} from './protocol.js';
+import {
+    STATE_AUTHENTICATING,
+    STATE_BACKOFF,
+    STATE_CONNECTED,
+    STATE_CONNECTING,
+    STATE_FAILED,
+    STATE_IDLE,
+    STATE_STOPPED
+} from './connection.js';
+import { DIRECTION_IN, DIRECTION_OUT } from './capture.js';
+
+export const DEFAULT_METRICS_HOST = '127.0.0.1';
+
+const CONNECTION_STATES = [STATE_IDLE, STATE_CONNECTING, STATE_AUTHENTICATING, STATE_CONNECTED, STATE_BACKOFF, STATE_FAILED, STATE_STOPPED];
+
+const PACKET_TYPE_NAMES = {
+    [PACKET_TYPE_AUTH]: 'auth',
+    [PACKET_TYPE_SYNC]: 'sync',
+    [PACKET_TYPE_STATUS]: 'status',
+    [PACKET_TYPE_STATUS_SYNC]: 'status_sync',
+    [PACKET_TYPE_CONNECTED]: 'connected',
+    [PACKET_TYPE_PING]: 'ping'
+};
+
+// command latency histogram buckets, in seconds; commands fail after 8
+const LATENCY_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2, 4, 8];
+
+function escapeLabel(value) {
+    return `${value}`.replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function formatLabels(labels) {
+    const pairs = Object.entries(labels).map(([name, value]) => `${name}="${escapeLabel(value)}"`);
+    return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+/**
+ * Formats metric families in the Prometheus text format.  Each family is { name, help, type, samples }, and each
+ * sample { labels, value }, with an optional suffix for the _bucket, _sum and _count series of a histogram.
+ */
+export function formatMetrics(families) {
+    const lines = [];
+    for (const { name, help, type, samples } of families) {
+        lines.push(`# HELP ${name} ${help}`);
+        lines.push(`# TYPE ${name} ${type}`);
+        for (const { suffix = '', labels = {}, value } of samples) {
+            lines.push(`${name}${suffix}${formatLabels(labels)} ${value}`);
+        }
+    }
+
+    return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Counts what an account's connection does, for the metrics endpoint.  Gauges like the connection state and queue
+ * lengths are read when scraped instead.
+ */
+class ConnectionStats {
+
+    constructor(connection) {
+        this.connection = connection;
+        this.reconnects = 0;
+        // counts by "direction type"
+        this.packets = new Map();
+        this.commands = { acknowledged: 0, replaced: 0, failed: 0 };
+        this.latencyBuckets = LATENCY_BUCKETS.map(() => 0);
+        this.latencySum = 0;
+        this.latencyCount = 0;
+
+        this.handleSent = (buffer) => this.countPacket(DIRECTION_OUT, decodePacket(buffer)?.type);
+        this.handleReceived = (packet) => this.countPacket(DIRECTION_IN, packet.type);
+        this.handleDisconnected = () => this.reconnects++;
+        this.handleCommand = (command) => this.countCommand(command);
+
+        connection.on('sent', this.handleSent);
+        connection.on('received', this.handleReceived);
+        connection.on('disconnected', this.handleDisconnected);
+        connection.on('command', this.handleCommand);
+    }
+
+    detach() {
+        this.connection.off('sent', this.handleSent);
+        this.connection.off('received', this.handleReceived);
+        this.connection.off('disconnected', this.handleDisconnected);
+        this.connection.off('command', this.handleCommand);
+    }
+
+    countPacket(direction, type) {
+        if (type === undefined) {
+            return;
+        }
+
+        const key = `${direction} ${PACKET_TYPE_NAMES[type] ?? type}`;
+        this.packets.set(key, (this.packets.get(key) ?? 0) + 1);
+    }
+
+    countCommand({ result, latency }) {
+        this.commands[result]++;
+
+        // a replaced or failed command never got an answer, so it says nothing about how fast the server is
+        if (result == 'acknowledged') {
+            const seconds = latency / 1000;
+            LATENCY_BUCKETS.forEach((bucket, i) => {
+                if (seconds <= bucket) {
+                    this.latencyBuckets[i]++;
+                }
+            });
+            this.latencySum += seconds;
+            this.latencyCount++;
+        }
+    }
+
+}
+
+/**
+ * A local HTTP endpoint for monitoring the plugin.
+ *
+ *   GET /metrics        connection and light metrics, in the Prometheus text format
+ *   GET /diagnostics    every account's connection and every accessory's context, as JSON
+ */
+export class MetricsServer {
+
+    constructor(log, platform, { port, host = DEFAULT_METRICS_HOST }) {
+        this.log = log;
+        this.platform = platform;
+        this.port = port;
+        this.host = host;
+        // by account
+        this.stats = new Map();
+        this.httpServer = http.createServer((req, res) => this.handleRequest(req, res));
+    }
+
+    /**
+     * Starts counting an account's traffic.  Called from the platform's constructor, so nothing is missed while
+     * Homebridge starts up.
+     */
+    attach(account) {
+        this.stats.set(account, new ConnectionStats(account.connection));
+    }
+
+    async start() {
+        await new Promise((resolve, reject) => {
+            this.httpServer.once('error', reject);
+            this.httpServer.listen(this.port, this.host, () => {
+                this.httpServer.off('error', reject);
+                resolve();
+            });
+        });
+
+        this.log.info(`Metrics listening on http://${this.host}:${this.httpServer.address().port}/metrics`);
+    }
+
+    async stop() {
+        for (const stats of this.stats.values()) {
+            stats.detach();
+        }
+        this.stats.clear();
+
+        this.httpServer.closeAllConnections();
+        await new Promise((resolve) => this.httpServer.close(resolve));
+    }
+
+    handleRequest(req, res) {
+        const pathname = new URL(req.url, 'http://localhost').pathname;
+        try {
+            if (req.method == 'GET' && pathname == '/metrics') {
+                res.writeHead(200, { 'Content-Type': 'text/plain; version=0.0.4' });
+                res.end(formatMetrics(this.metrics()));
+            }
+            else if (req.method == 'GET' && pathname == '/diagnostics') {
+                res.writeHead(200, { 'Content-Type': 'application/json' });
+                res.end(JSON.stringify(this.diagnostics(), null, 2));
+            }
+            else {
+                res.writeHead(404, { 'Content-Type': 'application/json' });
+                res.end(JSON.stringify({ error: 'not found' }));
+            }
+        }
+        catch (err) {
+            this.log.warn(`Metrics request ${req.method} ${req.url} failed: ${err.message}`);
+            res.writeHead(500, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ error: err.message }));
+        }
+    }
+
+    metrics() {
+        const family = (name, type, help) => ({ name, type, help, samples: [] });
+        const connectionState = family('cync_connection_state', 'gauge', 'Whether the connection to the Cync server is in each state.');
+        const connected = family('cync_connected', 'gauge', 'Whether the connection to the Cync server is logged in.');
+        const reconnects = family('cync_reconnects_total', 'counter', 'Times the connection to the Cync server dropped after logging in.');
+        const packets = family('cync_packets_total', 'counter', 'Packets sent to and received from the Cync server, by type.');
+        const packetQueue = family('cync_packet_queue_length', 'gauge', 'Packets waiting for the connection to come back.');
+        const pending = family('cync_commands_pending', 'gauge', 'Commands waiting for the Cync server to acknowledge them.');
+        const commands = family('cync_commands_total', 'counter', 'Commands that finished, by result.');
+        const latency = family('cync_command_latency_seconds', 'histogram', 'Time from sending a command to the Cync server acknowledging it.');
+        const reachable = family('cync_light_reachable', 'gauge', 'Whether the Cync server can reach the light.');
+        const lastSeen = family('cync_light_last_seen_timestamp_seconds', 'gauge', 'When the Cync server last reported on the light.');
+
+        for (const [account, stats] of this.stats) {
+            const labels = { account: account.userID };
+            const connection = account.connection;
+
+            for (const state of CONNECTION_STATES) {
+                connectionState.samples.push({ labels: { ...labels, state }, value: Number(connection.state == state) });
+            }
+            connected.samples.push({ labels, value: Number(connection.connected) });
+            reconnects.samples.push({ labels, value: stats.reconnects });
+
+            for (const [key, count] of stats.packets) {
+                const [direction, type] = key.split(' ');
+                packets.samples.push({ labels: { ...labels, direction, type }, value: count });
+            }
+
+            packetQueue.samples.push({ labels, value: connection.packetQueue.length });
+            pending.samples.push({ labels, value: connection.commands.size });
+
+            for (const [result, count] of Object.entries(stats.commands)) {
+                commands.samples.push({ labels: { ...labels, result }, value: count });
+            }
+
+            LATENCY_BUCKETS.forEach((bucket, i) => {
+                latency.samples.push({ suffix: '_bucket', labels: { ...labels, le: bucket }, value: stats.latencyBuckets[i] });
+            });
+            latency.samples.push({ suffix: '_bucket', labels: { ...labels, le: '+Inf' }, value: stats.latencyCount });
+            latency.samples.push({ suffix: '_sum', labels, value: stats.latencySum });
+            latency.samples.push({ suffix: '_count', labels, value: stats.latencyCount });
+
+            for (const light of account.lights) {
+                const lightLabels = { ...labels, id: light.accessory.UUID, name: light.name };
+                reachable.samples.push({ labels: lightLabels, value: Number(light.isReachable()) });
+                if (light.accessory.context.lastSeen) {
+                    lastSeen.samples.push({ labels: lightLabels, value: Math.round(light.accessory.context.lastSeen / 1000) });
+                }
+            }
+        }
+
+        return [connectionState, connected, reconnects, packets, packetQueue, pending, commands, latency, reachable, lastSeen];
+    }
+
+    diagnostics() {
+        const lights = this.platform.allLights();
+        return {
+            time: new Date().toISOString(),
+            accounts: this.platform.accounts.map((account) => ({
+                userID: account.userID,
+                authenticated: account.authenticated,
+                connection: {
+                    state: account.connection.state,
+                    attempts: account.connection.attempts,
+                    packetQueue: account.connection.packetQueue.length,
+                    commandsPending: account.connection.commands.size
+                },
+                lights: account.lights.length,
+                groups: account.groups.length
+            })),
+            accessories: this.platform.accessories.map((accessory) => {
+                const light = lights.find((light) => light.accessory === accessory);
+                const lastSeen = accessory.context.lastSeen;
+                return {
+                    id: accessory.UUID,
+                    name: accessory.displayName,
+                    active: light !== undefined,
+                    reachable: light?.isReachable() ?? null,
+                    lastSeen: lastSeen ? new Date(lastSeen).toISOString() : null,
+                    context: accessory.context
+                };
+            })
+        };
+    }
+
+}
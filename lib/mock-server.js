@@ -0,0 +1,315 @@
+"use strict";
+
+import http from 'node:http';
+import net from 'node:net';
+import { EventEmitter } from 'node:events';
+import { Buffer } from 'node:buffer';
+import {
+    decodeClientMessage,
+    encodeAuthResponse,
+    encodeConnected,
+    encodePacket,
+    encodeStatus,
+    encodeStatusAck,
+    encodeStatusSync,
+    encodeSync,
+    PacketReader,
+    PACKET_TYPE_PING
+} from './protocol.js';
+
+export const DEFAULT_MOCK_ACCOUNT = {
+    email: 'mock@example.com',
+    password: 'mock-password',
+    userID: '1000001',
+    refreshToken: 'mock-refresh-token',
+    authorize: 'mock-authorize',
+    homes: [
+        {
+            id: 123456,
+            product_id: 'mock-product',
+            name: 'Mock Home',
+            bulbs: [
+                { meshID: 1, switchID: 1001, displayName: 'Mock Color Bulb', deviceType: 146 },
+                { meshID: 2, switchID: 1002, displayName: 'Mock White Bulb', deviceType: 5 },
+                { meshID: 3, switchID: 1003, displayName: 'Mock Dimmable Bulb', deviceType: 1 },
+                { meshID: 4, switchID: 1004, displayName: 'Mock Plug', deviceType: 64 }
+            ],
+            groups: [
+                { groupID: 32769, displayName: 'Mock Room', deviceIDArray: [1, 2] }
+            ]
+        }
+    ]
+};
+
+/**
+ * A fake Cync cloud for development and testing.  It serves the REST calls the plugin makes and speaks enough of
+ * the TCP protocol to authenticate, answer connected device and status queries, and apply set state commands,
+ * which are echoed back to every client as status syncs.
+ */
+export class MockCyncServer extends EventEmitter {
+
+    constructor(account = DEFAULT_MOCK_ACCOUNT, log = console) {
+        super();
+        this.account = account;
+        this.log = log;
+        this.accessToken = 'mock-access-token';
+        this.verificationCode = '123456';
+        this.clients = new Set();
+        this.devices = [];
+
+        for (const home of account.homes) {
+            for (const bulb of home.bulbs) {
+                this.devices.push({
+                    home: home,
+                    deviceID: home.id * 1000 + bulb.meshID,
+                    online: true,
+                    state: { on: false, brightness: 100, colorTemp: 50, rgb: [255, 255, 255] },
+                    ...bulb
+                });
+            }
+        }
+
+        this.httpServer = http.createServer((req, res) => this.handleRequest(req, res));
+        this.tcpServer = net.createServer((socket) => this.handleClient(socket));
+    }
+
+    /**
+     * Starts listening on the given ports (0 picks a free port) and resolves with the plugin config that points
+     * at this server.
+     */
+    async start(httpPort = 0, tcpPort = 0, host = '127.0.0.1') {
+        await new Promise((resolve) => this.httpServer.listen(httpPort, host, resolve));
+        await new Promise((resolve) => this.tcpServer.listen(tcpPort, host, resolve));
+
+        return {
+            userID: this.account.userID,
+            refreshToken: this.account.refreshToken,
+            authorize: this.account.authorize,
+            apiUrl: `http://${host}:${this.httpServer.address().port}/v2`,
+            serverHost: host,
+            serverPort: this.tcpServer.address().port
+        };
+    }
+
+    async stop() {
+        for (const socket of this.clients) {
+            socket.destroy();
+        }
+        await new Promise((resolve) => this.httpServer.close(resolve));
+        await new Promise((resolve) => this.tcpServer.close(resolve));
+    }
+
+    deviceBySwitchID(switchID) {
+        return this.devices.find((device) => device.switchID == switchID);
+    }
+
+    deviceByMeshID(home, meshID) {
+        return this.devices.find((device) => device.home === home && device.meshID == meshID);
+    }
+
+    /**
+     * Changes a device's state as if it had been changed from the Cync app, and pushes it to every client.
+     */
+    setDeviceState(switchID, state) {
+        const device = this.deviceBySwitchID(switchID);
+        if (device) {
+            Object.assign(device.state, state);
+            this.broadcast(encodeSync({ switchID: device.switchID, states: [{ meshID: device.meshID, ...device.state }] }));
+        }
+    }
+
+    broadcast(packet) {
+        for (const socket of this.clients) {
+            if (socket.authenticated) {
+                socket.write(packet);
+            }
+        }
+    }
+
+    // -----------------------------------------------------------------------------------------------------------
+    // REST API
+    // -----------------------------------------------------------------------------------------------------------
+
+    async handleRequest(req, res) {
+        const url = new URL(req.url, 'http://localhost');
+        const body = await this.readBody(req);
+        this.emit('request', req.method, url.pathname, body);
+
+        const send = (status, payload) => {
+            res.writeHead(status, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify(payload));
+        };
+
+        if (req.method == 'POST' && url.pathname == '/v2/two_factor/email/verifycode') {
+            if (body?.email != this.account.email) {
+                return send(400, { error: { msg: 'user not exist', code: 4041011 } });
+            }
+            this.log.info(`Mock verification code for ${body.email}: ${this.verificationCode}`);
+            return send(200, {});
+        }
+
+        if (req.method == 'POST' && url.pathname == '/v2/user_auth/two_factor') {
+            if (body?.email != this.account.email || body?.password != this.account.password) {
+                return send(400, { error: { msg: 'password error', code: 4001007 } });
+            }
+            if (body?.two_factor != this.verificationCode) {
+                return send(400, { error: { msg: 'verification code error', code: 4001022 } });
+            }
+            return send(200, {
+                access_token: this.accessToken,
+                refresh_token: this.account.refreshToken,
+                user_id: Number(this.account.userID),
+                authorize: this.account.authorize,
+                expire_in: 604800
+            });
+        }
+
+        if (req.method == 'POST' && url.pathname == '/v2/user/token/refresh') {
+            if (body?.refresh_token != this.account.refreshToken) {
+                return send(400, { error: { msg: 'invalid refresh token', code: 4031021 } });
+            }
+            return send(200, {
+                access_token: this.accessToken,
+                refresh_token: this.account.refreshToken,
+                expire_in: 604800
+            });
+        }
+
+        if (req.headers['access-token'] != this.accessToken) {
+            return send(403, { error: { msg: 'access-token expired', code: 4031021 } });
+        }
+
+        let match = url.pathname.match(/^\/v2\/user\/(\d+)\/subscribe\/devices$/);
+        if (req.method == 'GET' && match) {
+            if (match[1] != this.account.userID) {
+                return send(404, { error: { msg: 'user not found', code: 4041011 } });
+            }
+            return send(200, this.account.homes.map((home) => ({
+                id: home.id,
+                product_id: home.product_id,
+                name: home.name
+            })));
+        }
+
+        match = url.pathname.match(/^\/v2\/product\/([^/]+)\/device\/(\d+)\/property$/);
+        if (req.method == 'GET' && match) {
+            const home = this.account.homes.find((home) => home.product_id == match[1] && home.id == match[2]);
+            if (!home) {
+                return send(404, { error: { msg: 'device not found', code: 4041009 } });
+            }
+            return send(200, {
+                bulbsArray: this.devices.filter((device) => device.home === home).map((device) => ({
+                    deviceID: device.deviceID,
+                    displayName: device.displayName,
+                    switchID: device.switchID,
+                    deviceType: device.deviceType,
+                    mac: device.switchID.toString(16).toUpperCase().padStart(12, '0'),
+                    firmwareVersion: '1.0.0'
+                })),
+                groupsArray: home.groups ?? []
+            });
+        }
+
+        send(404, { error: { msg: 'not found', code: 404 } });
+    }
+
+    async readBody(req) {
+        const chunks = [];
+        for await (const chunk of req) {
+            chunks.push(chunk);
+        }
+
+        try {
+            return chunks.length > 0 ? JSON.parse(Buffer.concat(chunks).toString()) : null;
+        }
+        catch (err) {
+            return null;
+        }
+    }
+
+    // -----------------------------------------------------------------------------------------------------------
+    // TCP protocol
+    // -----------------------------------------------------------------------------------------------------------
+
+    handleClient(socket) {
+        const reader = new PacketReader();
+        reader.on('packet', (packet) => this.handlePacket(socket, packet));
+        reader.on('corrupt', () => socket.destroy());
+
+        socket.authenticated = false;
+        this.clients.add(socket);
+
+        socket.on('close', () => this.clients.delete(socket));
+        socket.on('error', () => socket.destroy());
+        socket.on('data', (chunk) => reader.push(chunk));
+    }
+
+    handlePacket(socket, packet) {
+        let message;
+        try {
+            message = decodeClientMessage(packet);
+        }
+        catch (err) {
+            this.log.error(`Mock server could not decode packet: ${err.message}`);
+            return;
+        }
+
+        this.emit('message', message);
+
+        if (message.type == 'auth') {
+            socket.authenticated = message.userID == this.account.userID && message.authorize == this.account.authorize;
+            socket.write(encodeAuthResponse({ success: socket.authenticated }));
+            if (!socket.authenticated) {
+                socket.end();
+            }
+            return;
+        }
+
+        if (!socket.authenticated) {
+            return;
+        }
+
+        switch (message.type) {
+            case 'ping':
+                socket.write(encodePacket(PACKET_TYPE_PING, Buffer.alloc(0), true));
+                break;
+            case 'connected': {
+                const device = this.deviceBySwitchID(message.switchID);
+                if (device?.online) {
+                    socket.write(encodeConnected(message));
+                }
+                break;
+            }
+            case 'status-query': {
+                const device = this.deviceBySwitchID(message.switchID);
+                if (device?.online) {
+                    const states = this.devices
+                        .filter((other) => other.home === device.home && other.online)
+                        .map((other) => ({ meshID: other.meshID, ...other.state }));
+                    socket.write(encodeStatus({ switchID: message.switchID, seq: message.seq, states, isResponse: true }));
+                }
+                break;
+            }
+            case 'set-state': {
+                const device = this.deviceBySwitchID(message.switchID);
+                if (!device?.online) {
+                    break;
+                }
+
+                // a group command reaches every member of the group on the mesh
+                const group = device.home.groups?.find((group) => group.groupID == message.meshID);
+                const targets = group
+                    ? group.deviceIDArray.map((meshID) => this.deviceByMeshID(device.home, meshID))
+                    : [this.deviceByMeshID(device.home, message.meshID)];
+
+                socket.write(encodeStatusAck(message, true));
+                for (const target of targets.filter((target) => target?.online)) {
+                    target.state = { on: message.on, brightness: message.brightness, colorTemp: message.colorTemp, rgb: message.rgb };
+                    this.broadcast(encodeStatusSync({ switchID: target.switchID, meshID: target.meshID, ...target.state }));
+                }
+                break;
+            }
+        }
+    }
+
+}
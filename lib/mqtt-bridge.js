@@ -0,0 +1,283 @@
+"use strict";
+
+import mqtt from 'mqtt';
+import { SERVICE_FAN, SERVICE_LIGHTBULB } from './devices.js';
+
+export const DEFAULT_TOPIC = 'cync';
+export const DEFAULT_DISCOVERY_PREFIX = 'homeassistant';
+
+/**
+ * Mirrors lights to an MQTT broker, in the JSON format Home Assistant's MQTT light expects, and announces them with
+ * Home Assistant discovery messages.
+ *
+ *   <topic>/bridge/availability    online or offline
+ *   <topic>/<id>/availability      online or offline, as the light is reachable
+ *   <topic>/<id>/state             { state, brightness, color_mode, color_temp, color: { r, g, b }, effect }
+ *   <topic>/<id>/set               commands in the same format, plus transition in seconds
+ *
+ * Brightness is 0-100 and color temperature is in kelvin.
+ */
+export class MqttBridge {
+
+    constructor(log, platform, { url, username, password, topic = DEFAULT_TOPIC, discoveryPrefix = DEFAULT_DISCOVERY_PREFIX }) {
+        this.log = log;
+        this.platform = platform;
+        this.url = url;
+        this.username = username;
+        this.password = password;
+        this.topic = topic;
+        this.discoveryPrefix = discoveryPrefix;
+        this.client = null;
+        // lights with a discovery message on the broker, by id
+        this.announced = new Map();
+        this.handleState = (light) => this.publishState(light);
+        this.handleDiscovered = () => this.announce();
+    }
+
+    get availabilityTopic() {
+        return `${this.topic}/bridge/availability`;
+    }
+
+    start() {
+        this.client = mqtt.connect(this.url, {
+            username: this.username,
+            password: this.password,
+            will: { topic: this.availabilityTopic, payload: 'offline', retain: true }
+        });
+
+        this.client.on('connect', () => {
+            this.log.info(`Connected to MQTT broker ${this.url}`);
+            this.client.subscribe(`${this.topic}/+/set`);
+            this.client.publish(this.availabilityTopic, 'online', { retain: true });
+
+            // the broker may have lost everything we published
+            this.announced.clear();
+            this.announce();
+        });
+        this.client.on('error', (err) => this.log.warn(`MQTT error: ${err.message}`));
+        this.client.on('message', (topic, payload) => this.handleMessage(topic, payload));
+
+        this.platform.on('state', this.handleState);
+        this.platform.on('discovered', this.handleDiscovered);
+    }
+
+    async stop() {
+        this.platform.off('state', this.handleState);
+        this.platform.off('discovered', this.handleDiscovered);
+
+        if (this.client?.connected) {
+            await this.client.publishAsync(this.availabilityTopic, 'offline', { retain: true });
+        }
+        await this.client?.endAsync();
+    }
+
+    lightID(light) {
+        return light.accessory.UUID;
+    }
+
+    /**
+     * Publishes discovery messages and the current state for every light that doesn't have one yet, and removes
+     * lights that are gone.
+     */
+    announce() {
+        if (!this.client?.connected) {
+            return;
+        }
+
+        const lights = this.platform.allLights();
+        for (const light of lights) {
+            const config = this.discoveryConfig(light);
+            const payload = JSON.stringify(config.payload);
+            const id = this.lightID(light);
+
+            const previous = this.announced.get(id);
+            if (previous && previous.topic != config.topic) {
+                this.client.publish(previous.topic, '', { retain: true });
+            }
+            if (previous?.payload != payload) {
+                this.client.publish(config.topic, payload, { retain: true });
+                this.announced.set(id, { topic: config.topic, payload: payload });
+            }
+            this.publishState(light);
+        }
+
+        for (const [id, announced] of this.announced) {
+            if (!lights.some((light) => this.lightID(light) == id)) {
+                // an empty retained config removes the entity from Home Assistant
+                this.client.publish(announced.topic, '', { retain: true });
+                this.announced.delete(id);
+            }
+        }
+    }
+
+    /**
+     * The Home Assistant discovery message for a light: a light, a fan, or a switch for plugs and on/off switches.
+     */
+    discoveryConfig(light) {
+        const id = this.lightID(light);
+        const base = `${this.topic}/${id}`;
+        const capabilities = light.capabilities;
+        const context = light.accessory.context;
+
+        const payload = {
+            name: null,
+            unique_id: `cync_${id}`,
+            state_topic: `${base}/state`,
+            command_topic: `${base}/set`,
+            availability: [
+                { topic: this.availabilityTopic },
+                { topic: `${base}/availability` }
+            ],
+            availability_mode: 'all',
+            device: {
+                identifiers: [`cync_${id}`],
+                name: light.name,
+                manufacturer: 'GE Lighting',
+                model: context.groupID === undefined ? `type ${context.deviceType}` : 'Cync Room'
+            }
+        };
+
+        let component = 'switch';
+        if (capabilities.service == SERVICE_LIGHTBULB) {
+            component = 'light';
+            const colorModes = [];
+            if (capabilities.colorTemp) {
+                colorModes.push('color_temp');
+            }
+            if (capabilities.rgb) {
+                colorModes.push('rgb');
+            }
+            if (colorModes.length == 0) {
+                colorModes.push(capabilities.brightness ? 'brightness' : 'onoff');
+            }
+
+            Object.assign(payload, {
+                schema: 'json',
+                brightness: capabilities.brightness,
+                brightness_scale: 100,
+                supported_color_modes: colorModes
+            });
+            if (light.effects().length > 0) {
+                Object.assign(payload, { effect: true, effect_list: light.effects() });
+            }
+            if (capabilities.colorTemp) {
+                Object.assign(payload, {
+                    color_temp_kelvin: true,
+                    min_kelvin: capabilities.colorTempRange[0],
+                    max_kelvin: capabilities.colorTempRange[1]
+                });
+            }
+        }
+        else if (capabilities.service == SERVICE_FAN) {
+            component = 'fan';
+            Object.assign(payload, {
+                command_template: '{"state": "{{ value }}"}',
+                state_value_template: '{{ value_json.state }}',
+                percentage_command_topic: `${base}/set`,
+                percentage_command_template: '{"brightness": {{ value }}}',
+                percentage_state_topic: `${base}/state`,
+                percentage_value_template: '{{ value_json.brightness }}'
+            });
+        }
+        else {
+            Object.assign(payload, {
+                payload_on: '{"state": "ON"}',
+                payload_off: '{"state": "OFF"}',
+                value_template: '{{ value_json.state }}',
+                state_on: 'ON',
+                state_off: 'OFF'
+            });
+        }
+
+        return { topic: `${this.discoveryPrefix}/${component}/${id}/config`, payload: payload };
+    }
+
+    publishState(light) {
+        if (!this.client?.connected) {
+            return;
+        }
+
+        const base = `${this.topic}/${this.lightID(light)}`;
+        const capabilities = light.capabilities;
+        const state = { state: light.on ? 'ON' : 'OFF' };
+
+        if (capabilities.brightness) {
+            state.brightness = light.brightness;
+        }
+
+        // Cync doesn't say which mode a light is in, but a white light has all three channels at the same level
+        const white = light.rgb.every((value) => value == light.rgb[0]);
+        if (capabilities.rgb && (!white || !capabilities.colorTemp)) {
+            state.color_mode = 'rgb';
+            state.color = { r: light.rgb[0], g: light.rgb[1], b: light.rgb[2] };
+        }
+        else if (capabilities.colorTemp) {
+            state.color_mode = 'color_temp';
+            state.color_temp = Math.round(light.kelvinFromCync(light.cyncColorTemp));
+        }
+
+        if (light.effects().length > 0) {
+            state.effect = light.effects().includes(light.effect?.name) ? light.effect.name : null;
+        }
+
+        this.client.publish(`${base}/availability`, light.isReachable() ? 'online' : 'offline', { retain: true });
+        this.client.publish(`${base}/state`, JSON.stringify(state), { retain: true });
+    }
+
+    handleMessage(topic, payload) {
+        const id = topic.slice(this.topic.length + 1, -'/set'.length);
+        const light = this.platform.allLights().find((light) => this.lightID(light) == id);
+        if (!light) {
+            return;
+        }
+
+        let command;
+        try {
+            command = JSON.parse(payload.toString());
+        }
+        catch (err) {
+            this.log.warn(`Ignoring MQTT command for ${light.name} that isn't JSON: ${payload.toString()}`);
+            return;
+        }
+
+        if (typeof command != 'object' || command === null || Array.isArray(command)) {
+            this.log.warn(`Ignoring MQTT command for ${light.name} that isn't a JSON object: ${payload.toString()}`);
+            return;
+        }
+
+        const state = {};
+        if (command.state == 'ON' || command.state == 'OFF') {
+            state.on = command.state == 'ON';
+        }
+        if (typeof command.brightness == 'number') {
+            state.brightness = Math.min(Math.max(Math.round(command.brightness), 0), 100);
+        }
+        if (typeof command.color_temp == 'number') {
+            state.colorTemp = command.color_temp;
+        }
+        if (command.color && ['r', 'g', 'b'].every((key) => typeof command.color[key] == 'number')) {
+            state.rgb = ['r', 'g', 'b'].map((key) => Math.min(Math.max(Math.round(command.color[key]), 0), 255));
+        }
+
+        // Home Assistant sends the effect along with state ON; anything else changing the light stops the effect
+        if (light.effects().includes(command.effect)) {
+            light.startEffect(command.effect);
+            return;
+        }
+
+        if (Object.keys(state).length == 0) {
+            return;
+        }
+
+        if (typeof command.transition == 'number' && command.transition > 0) {
+            light.transition(state, command.transition * 1000);
+        }
+        else {
+            light.applyState(state).catch(() => {
+                // put the old state back in Home Assistant
+                this.publishState(light);
+            });
+        }
+    }
+
+}
@@ -0,0 +1,464 @@
+"use strict";
+
+import { Buffer } from 'node:buffer';
+import { EventEmitter } from 'node:events';
+
+/*
+ * Encoding and decoding of the Cync cloud TCP protocol.  Everything in here works on plain buffers so it can be
+ * used without a socket.
+ *
+ * Every packet starts with a 5 byte header: the packet type in the high nibble of the first byte (bit 3 marks a
+ * response), followed by the length of the body as a 32 bit big-endian integer.
+ */
+
+export const PACKET_TYPE_AUTH = 1;
+export const PACKET_TYPE_SYNC = 4;
+export const PACKET_TYPE_STATUS = 7;
+export const PACKET_TYPE_STATUS_SYNC = 8;
+export const PACKET_TYPE_CONNECTED = 10;
+export const PACKET_TYPE_PING = 13;
+
+export const PACKET_SUBTYPE_SET_STATUS = 0xd0;
+export const PACKET_SUBTYPE_SET_BRIGHTNESS = 0xd2;
+export const PACKET_SUBTYPE_SET_COLOR_TEMP = 0xe2;
+export const PACKET_SUBTYPE_SET_STATE = 0xf0;
+export const PACKET_SUBTYPE_GET_STATUS = 0xdb;
+export const PACKET_SUBTYPE_GET_STATUS_PAGINATED = 0x52;
+
+export const HEADER_LENGTH = 5;
+
+// No packet the server sends comes close to this, so anything longer means the stream is out of sync.
+export const MAX_PACKET_LENGTH = 0x10000;
+
+const REQUEST_HEADER_LENGTH = 18;
+const SET_STATE_LENGTH = 16;
+const SYNC_RECORD_LENGTH = 19;
+const STATUS_RECORD_LENGTH = 24;
+const STATUS_RECORDS_OFFSET = 22;
+const STATUS_SYNC_LENGTH = 33;
+
+// ---------------------------------------------------------------------------------------------------------------
+// Framing
+// ---------------------------------------------------------------------------------------------------------------
+
+/**
+ * Wraps a body in a packet header.
+ */
+export function encodePacket(type, data, isResponse = false) {
+    const packet = Buffer.alloc(data.length + HEADER_LENGTH);
+    packet.writeUInt8((type << 4) | (isResponse ? 8 : 0) | 3);
+    packet.writeUInt32BE(data.length, 1);
+    data.copy(packet, HEADER_LENGTH);
+    return packet;
+}
+
+/**
+ * Reads a packet header, or returns null if the buffer is too short to hold one.
+ */
+export function decodeHeader(buffer) {
+    if (buffer.length < HEADER_LENGTH) {
+        return null;
+    }
+
+    return {
+        type: buffer.readUInt8() >>> 4,
+        isResponse: (buffer.readUInt8() & 8) != 0,
+        length: buffer.readUInt32BE(1)
+    };
+}
+
+/**
+ * Reads a complete packet from the start of the buffer, or returns null if the buffer doesn't hold one yet.
+ */
+export function decodePacket(buffer) {
+    const header = decodeHeader(buffer);
+    if (!header || buffer.length < HEADER_LENGTH + header.length) {
+        return null;
+    }
+
+    return {
+        ...header,
+        data: buffer.subarray(HEADER_LENGTH, HEADER_LENGTH + header.length)
+    };
+}
+
+/**
+ * Assembles packets from a stream of chunks, which may split a packet (or even its header) or hold several packets
+ * at once.  Emits 'packet' for every complete packet, and 'corrupt' if a header declares an impossible length, after
+ * which the stream can't be trusted and everything is dropped until reset() is called.
+ */
+export class PacketReader extends EventEmitter {
+
+    constructor() {
+        super();
+        this.reset();
+    }
+
+    reset() {
+        this.buffer = Buffer.alloc(0);
+        this.corrupt = false;
+    }
+
+    push(chunk) {
+        if (this.corrupt) {
+            return;
+        }
+
+        this.buffer = this.buffer.length > 0 ? Buffer.concat([this.buffer, chunk]) : chunk;
+
+        let header = decodeHeader(this.buffer);
+        while (header) {
+            if (header.length > MAX_PACKET_LENGTH) {
+                const bytes = this.buffer.subarray(0, HEADER_LENGTH).toString('hex');
+                this.buffer = Buffer.alloc(0);
+                this.corrupt = true;
+                this.emit('corrupt', header, bytes);
+                return;
+            }
+
+            const packet = decodePacket(this.buffer);
+            if (!packet) {
+                // wait for the rest of the body
+                return;
+            }
+
+            this.buffer = this.buffer.subarray(HEADER_LENGTH + packet.length);
+            this.emit('packet', packet);
+            header = decodeHeader(this.buffer);
+        }
+    }
+
+}
+
+// ---------------------------------------------------------------------------------------------------------------
+// Client messages
+// ---------------------------------------------------------------------------------------------------------------
+
+export function encodeAuth({ userID, authorize }) {
+    const data = Buffer.alloc(authorize.length + 10);
+    data.writeUInt8(0x03);
+    data.writeUInt32BE(Number(userID), 1);
+    data.writeUInt8(authorize.length, 6);
+    data.write(authorize, 7, authorize.length, 'ascii');
+    data.writeUInt8(0xb4, authorize.length + 9);
+    return encodePacket(PACKET_TYPE_AUTH, data);
+}
+
+export function decodeAuth(data) {
+    const length = data.readUInt8(6);
+    return {
+        type: 'auth',
+        userID: data.readUInt32BE(1),
+        authorize: data.toString('ascii', 7, 7 + length)
+    };
+}
+
+export function encodePing() {
+    return encodePacket(PACKET_TYPE_PING, Buffer.alloc(0));
+}
+
+/**
+ * Asks the server whether the device behind a switch is connected.
+ */
+export function encodeConnectedQuery({ switchID, seq }) {
+    const data = Buffer.alloc(7);
+    data.writeUInt32BE(switchID);
+    data.writeUInt16BE(seq, 4);
+    return encodePacket(PACKET_TYPE_CONNECTED, data);
+}
+
+/**
+ * Acknowledges a status packet.  Clients acknowledge packets pushed by the server, and the server answers requests
+ * with the response flag set.
+ */
+export function encodeStatusAck({ switchID, seq }, isResponse = false) {
+    const data = Buffer.alloc(7);
+    data.writeUInt32BE(switchID);
+    data.writeUInt16BE(seq, 4);
+    return encodePacket(PACKET_TYPE_STATUS, data, isResponse);
+}
+
+/**
+ * Wraps a mesh request (status query, set state, ...) addressed to a switch.
+ */
+export function encodeRequest({ switchID, seq, subtype, request }, isResponse = false) {
+    const data = Buffer.alloc(REQUEST_HEADER_LENGTH + request.length);
+    data.writeUInt32BE(switchID);
+    data.writeUInt16BE(seq, 4);
+    data.writeUInt8(0x7e, 7);
+    data.writeUInt8(0xf8, 12);
+    data.writeUInt8(subtype, 13);
+    data.writeUInt8(request.length, 14);
+    request.copy(data, REQUEST_HEADER_LENGTH);
+    return encodePacket(PACKET_TYPE_STATUS, data, isResponse);
+}
+
+export function decodeRequest(data) {
+    if (data.length < REQUEST_HEADER_LENGTH) {
+        return null;
+    }
+
+    const length = data.readUInt8(14);
+    return {
+        switchID: data.readUInt32BE(),
+        seq: data.readUInt16BE(4),
+        subtype: data.readUInt8(13),
+        request: data.subarray(REQUEST_HEADER_LENGTH, REQUEST_HEADER_LENGTH + length)
+    };
+}
+
+export function encodeStatusQuery({ switchID, seq }) {
+    const request = Buffer.alloc(6);
+    request.writeUInt16BE(0xffff);
+    request.writeUInt8(0x56, 4);
+    request.writeUInt8(0x7e, 5);
+    return encodeRequest({ switchID, seq, subtype: PACKET_SUBTYPE_GET_STATUS_PAGINATED, request });
+}
+
+/**
+ * The set state checksum is the sum of the mesh ID and state bytes, offset by 496, modulo 256.
+ */
+export function setStateChecksum({ meshID, on, brightness, colorTemp, rgb }) {
+    return (496 + meshID + (on ? 1 : 0) + brightness + colorTemp + rgb[0] + rgb[1] + rgb[2]) % 256;
+}
+
+export function encodeSetStateRequest(state) {
+    const request = Buffer.alloc(SET_STATE_LENGTH);
+    request.writeUInt16BE(state.meshID, 3);
+    request.writeUInt8(PACKET_SUBTYPE_SET_STATE, 5);
+    request.writeUInt8(state.on ? 1 : 0, 8);
+    request.writeUInt8(state.brightness, 9);
+    request.writeUInt8(state.colorTemp, 10);
+    request.writeUInt8(state.rgb[0], 11);
+    request.writeUInt8(state.rgb[1], 12);
+    request.writeUInt8(state.rgb[2], 13);
+    request.writeUInt8(setStateChecksum(state), 14);
+    request.writeUInt8(0x7e, 15);
+    return request;
+}
+
+export function encodeSetState({ switchID, seq, ...state }) {
+    return encodeRequest({ switchID, seq, subtype: PACKET_SUBTYPE_SET_STATE, request: encodeSetStateRequest(state) });
+}
+
+/**
+ * Decodes the body of a set state request.  Throws if the checksum doesn't match.
+ */
+export function decodeSetStateRequest(request) {
+    if (request.length < SET_STATE_LENGTH) {
+        throw new Error(`Set state request too short (${request.length} bytes).`);
+    }
+
+    const state = {
+        meshID: request.readUInt16BE(3),
+        on: request.readUInt8(8) > 0,
+        brightness: request.readUInt8(9),
+        colorTemp: request.readUInt8(10),
+        rgb: [request.readUInt8(11), request.readUInt8(12), request.readUInt8(13)]
+    };
+
+    const checksum = request.readUInt8(14);
+    if (checksum != setStateChecksum(state)) {
+        throw new Error(`Set state checksum mismatch: got ${checksum}, expected ${setStateChecksum(state)}.`);
+    }
+
+    return state;
+}
+
+/**
+ * Decodes a message sent by a client.
+ */
+export function decodeClientMessage(packet) {
+    switch (packet.type) {
+        case PACKET_TYPE_AUTH:
+            return decodeAuth(packet.data);
+        case PACKET_TYPE_PING:
+            return { type: 'ping' };
+        case PACKET_TYPE_CONNECTED:
+            return { type: 'connected', switchID: packet.data.readUInt32BE(), seq: packet.data.readUInt16BE(4) };
+        case PACKET_TYPE_STATUS: {
+            const request = decodeRequest(packet.data);
+            if (!request) {
+                return { type: 'status-ack', switchID: packet.data.readUInt32BE(), seq: packet.data.readUInt16BE(4) };
+            }
+            if (request.subtype == PACKET_SUBTYPE_SET_STATE) {
+                return { type: 'set-state', ...request, ...decodeSetStateRequest(request.request) };
+            }
+            return { type: 'status-query', ...request };
+        }
+    }
+
+    return { type: 'unknown', packetType: packet.type, data: packet.data };
+}
+
+// ---------------------------------------------------------------------------------------------------------------
+// Server messages
+// ---------------------------------------------------------------------------------------------------------------
+
+export function encodeAuthResponse({ success }) {
+    const data = Buffer.alloc(2);
+    data.writeUInt16BE(success ? 0 : 1);
+    return encodePacket(PACKET_TYPE_AUTH, data, true);
+}
+
+export function encodeConnected({ switchID, seq }) {
+    const data = Buffer.alloc(7);
+    data.writeUInt32BE(switchID);
+    data.writeUInt16BE(seq, 4);
+    return encodePacket(PACKET_TYPE_CONNECTED, data, true);
+}
+
+/**
+ * Encodes a paginated status response listing the state of every device on the mesh.
+ */
+export function encodeStatus({ switchID, seq, states, isResponse = false }) {
+    const records = Buffer.alloc(states.length * STATUS_RECORD_LENGTH + 2);
+    states.forEach((state, index) => {
+        const offset = index * STATUS_RECORD_LENGTH;
+        records.writeUInt8(state.meshID, offset);
+        records.writeUInt8(state.on ? 1 : 0, offset + 8);
+        records.writeUInt8(state.brightness, offset + 12);
+        records.writeUInt8(state.colorTemp, offset + 16);
+        records.writeUInt8(state.rgb[0], offset + 20);
+        records.writeUInt8(state.rgb[1], offset + 21);
+        records.writeUInt8(state.rgb[2], offset + 22);
+    });
+    records.writeUInt8(records.reduce((sum, value) => sum + value, 0) % 256, records.length - 2);
+    records.writeUInt8(0x7e, records.length - 1);
+
+    // the records start at offset 22 of the body, which is 4 bytes into the request
+    const request = Buffer.concat([Buffer.alloc(STATUS_RECORDS_OFFSET - REQUEST_HEADER_LENGTH), records]);
+    return encodeRequest({ switchID, seq, subtype: PACKET_SUBTYPE_GET_STATUS_PAGINATED, request }, isResponse);
+}
+
+/**
+ * Encodes a sync packet, used by the server to push changes to brightness and color temperature.
+ */
+export function encodeSync({ switchID, states }) {
+    const data = Buffer.alloc(7 + states.length * SYNC_RECORD_LENGTH);
+    data.writeUInt32BE(switchID);
+    states.forEach((state, index) => {
+        const offset = 7 + index * SYNC_RECORD_LENGTH;
+        data.writeUInt8(state.meshID, offset + 3);
+        data.writeUInt8(state.on ? 1 : 0, offset + 4);
+        data.writeUInt8(state.brightness, offset + 5);
+        data.writeUInt8(state.colorTemp, offset + 6);
+    });
+    return encodePacket(PACKET_TYPE_SYNC, data);
+}
+
+/**
+ * Encodes a status sync packet, used by the server to push on/off and brightness changes of a single device.
+ */
+export function encodeStatusSync({ switchID, meshID, on, brightness }) {
+    const data = Buffer.alloc(STATUS_SYNC_LENGTH);
+    data.writeUInt32BE(switchID);
+    data.writeUInt8(meshID, 21);
+    data.writeUInt8(on ? 1 : 0, 27);
+    data.writeUInt8(brightness, 28);
+    return encodePacket(PACKET_TYPE_STATUS_SYNC, data);
+}
+
+function decodeStatus(packet) {
+    const data = packet.data;
+    const message = {
+        type: 'status',
+        isResponse: packet.isResponse,
+        switchID: data.readUInt32BE(),
+        seq: data.readUInt16BE(4),
+        subtype: null,
+        states: []
+    };
+
+    if (data.length >= 25) {
+        message.subtype = data.readUInt8(13);
+        switch (message.subtype) {
+            case PACKET_SUBTYPE_GET_STATUS: {
+                // a single device, without color information
+                const on = data.readUInt8(27) > 0;
+                message.states.push({
+                    meshID: data.readUInt8(21),
+                    on: on,
+                    brightness: on ? data.readUInt8(28) : 0
+                });
+                break;
+            }
+            case PACKET_SUBTYPE_GET_STATUS_PAGINATED: {
+                let status = data.subarray(STATUS_RECORDS_OFFSET);
+                while (status.length > STATUS_RECORD_LENGTH) {
+                    const on = status.readUInt8(8) > 0;
+                    message.states.push({
+                        meshID: status.readUInt8(),
+                        on: on,
+                        brightness: on ? status.readUInt8(12) : 0,
+                        colorTemp: status.readUInt8(16),
+                        rgb: [status.readUInt8(20), status.readUInt8(21), status.readUInt8(22)]
+                    });
+                    status = status.subarray(STATUS_RECORD_LENGTH);
+                }
+                break;
+            }
+        }
+    }
+
+    return message;
+}
+
+function decodeSync(packet) {
+    const switchID = packet.data.readUInt32BE();
+    const data = packet.data.subarray(7);
+    const states = [];
+
+    for (let offset = 0; offset + 7 <= data.length; offset += SYNC_RECORD_LENGTH) {
+        const on = data.readUInt8(offset + 4) > 0;
+        states.push({
+            meshID: data.readUInt8(offset + 3),
+            on: on,
+            brightness: on ? data.readUInt8(offset + 5) : 0,
+            colorTemp: data.readUInt8(offset + 6)
+        });
+    }
+
+    return { type: 'sync', switchID, states };
+}
+
+function decodeStatusSync(packet) {
+    const data = packet.data;
+    if (data.length < STATUS_SYNC_LENGTH) {
+        return { type: 'status-sync', switchID: data.readUInt32BE(), states: [] };
+    }
+
+    const on = data.readUInt8(27) > 0;
+    return {
+        type: 'status-sync',
+        switchID: data.readUInt32BE(),
+        states: [{
+            meshID: data.readUInt8(21),
+            on: on,
+            brightness: on ? data.readUInt8(28) : 0
+        }]
+    };
+}
+
+/**
+ * Decodes a message sent by the server.  States only carry the fields the packet type includes; missing color
+ * temperature or RGB values should be left unchanged by the caller.
+ */
+export function decodeServerMessage(packet) {
+    switch (packet.type) {
+        case PACKET_TYPE_AUTH:
+            return { type: 'auth', success: packet.data.length >= 2 && packet.data.readUInt16BE() == 0 };
+        case PACKET_TYPE_STATUS:
+            return decodeStatus(packet);
+        case PACKET_TYPE_SYNC:
+            return decodeSync(packet);
+        case PACKET_TYPE_STATUS_SYNC:
+            return decodeStatusSync(packet);
+        case PACKET_TYPE_CONNECTED:
+            return { type: 'connected', switchID: packet.data.readUInt32BE() };
+        case PACKET_TYPE_PING:
+            return { type: 'ping' };
+    }
+
+    return { type: 'unknown', packetType: packet.type, data: packet.data };
+}
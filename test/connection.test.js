@@ -0,0 +1,37 @@
+"use strict";
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { Buffer } from 'node:buffer';
+import { CyncConnection, STATE_BACKOFF, STATE_FAILED, STATE_STOPPED } from '../lib/connection.js';
+import { createLog } from './helpers/homebridge.js';
+
+describe('CyncConnection', () => {
+    function connection(state) {
+        const connection = new CyncConnection(createLog(), { host: '127.0.0.1', port: 1, userID: '1000001', authorize: 'abcd' });
+        connection.state = state;
+        return connection;
+    }
+
+    it('queues packets while reconnecting', () => {
+        const queueing = connection(STATE_BACKOFF);
+        queueing.send(Buffer.from('a30000000700', 'hex'));
+        queueing.send(Buffer.from('a30000000701', 'hex'));
+        assert.equal(queueing.packetQueue.length, 2);
+    });
+
+    it('drops expired packets as new ones are queued', () => {
+        const queueing = connection(STATE_BACKOFF);
+        queueing.packetQueue.push({ packet: Buffer.from('a30000000700', 'hex'), time: Date.now() - 60000 });
+        queueing.send(Buffer.from('a30000000701', 'hex'));
+        assert.deepEqual(queueing.packetQueue.map((queued) => queued.packet.toString('hex')), ['a30000000701']);
+    });
+
+    it('does not queue packets once it has given up or stopped', () => {
+        for (const state of [STATE_FAILED, STATE_STOPPED]) {
+            const stopped = connection(state);
+            stopped.send(Buffer.from('a30000000700', 'hex'));
+            assert.equal(stopped.packetQueue.length, 0);
+        }
+    });
+});
@@ -0,0 +1,98 @@
+"use strict";
+
+import { after, before, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import net from 'node:net';
+import { once } from 'node:events';
+import { Buffer } from 'node:buffer';
+import WebSocket from 'ws';
+import { freePort, startPlatform, waitFor } from './helpers/homebridge.js';
+
+describe('control API', () => {
+    let started;
+    let port;
+
+    before(async () => {
+        port = await freePort();
+        started = await startPlatform({ controlPort: port });
+        await waitFor(() => started.platform.controlServer?.httpServer.listening);
+    });
+
+    after(() => started.stop());
+
+    it('lists the lights', async () => {
+        const response = await fetch(`http://127.0.0.1:${port}/lights`);
+        assert.equal(response.status, 200);
+        assert.equal((await response.json()).length, 4);
+    });
+
+    it('sends a snapshot to WebSocket clients', async () => {
+        const client = new WebSocket(`ws://127.0.0.1:${port}/events`);
+        const [data] = await once(client, 'message');
+        assert.equal(JSON.parse(data).type, 'lights');
+        client.close();
+    });
+
+    it('drops a WebSocket client that sends an invalid frame', async () => {
+        const socket = net.connect(port, '127.0.0.1');
+        await once(socket, 'connect');
+        socket.write([
+            'GET /events HTTP/1.1',
+            `Host: 127.0.0.1:${port}`,
+            'Upgrade: websocket',
+            'Connection: Upgrade',
+            'Sec-WebSocket-Key: dGhlIHNhbXBsZSBub25jZQ==',
+            'Sec-WebSocket-Version: 13',
+            '', ''
+        ].join('\r\n'));
+        await once(socket, 'data');
+
+        // clients must mask their frames, so an unmasked one breaks the protocol
+        socket.write(Buffer.from([0x81, 0x02, 0x68, 0x69]));
+        socket.resume();
+        await once(socket, 'close');
+
+        // still serving
+        const response = await fetch(`http://127.0.0.1:${port}/lights`);
+        assert.equal(response.status, 200);
+    });
+});
+
+describe('control API with a token', () => {
+    let started;
+    let port;
+
+    async function connect(url, ...args) {
+        const client = new WebSocket(url, ...args);
+        const result = await Promise.race([
+            once(client, 'message').then(([data]) => JSON.parse(data).type),
+            once(client, 'unexpected-response').then(([req, response]) => response.statusCode)
+        ]);
+        client.terminate();
+        return result;
+    }
+
+    before(async () => {
+        port = await freePort();
+        started = await startPlatform({ controlPort: port, controlToken: 'secret' });
+        await waitFor(() => started.platform.controlServer?.httpServer.listening);
+    });
+
+    after(() => started.stop());
+
+    it('refuses WebSocket clients without the token', async () => {
+        assert.equal(await connect(`ws://127.0.0.1:${port}/events`), 401);
+        assert.equal(await connect(`ws://127.0.0.1:${port}/events?token=wrong`), 401);
+    });
+
+    it('takes the token from a header, the query or the subprotocol', async () => {
+        assert.equal(await connect(`ws://127.0.0.1:${port}/events`, { headers: { authorization: 'Bearer secret' } }), 'lights');
+        assert.equal(await connect(`ws://127.0.0.1:${port}/events?token=secret`), 'lights');
+        assert.equal(await connect(`ws://127.0.0.1:${port}/events`, 'secret'), 'lights');
+    });
+
+    it('only takes the token from a header for other requests', async () => {
+        assert.equal((await fetch(`http://127.0.0.1:${port}/lights?token=secret`)).status, 401);
+        assert.equal((await fetch(`http://127.0.0.1:${port}/lights`, { headers: { authorization: 'Bearer secret' } })).status, 200);
+    });
+});
@@ -0,0 +1,56 @@
+"use strict";
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import { once } from 'node:events';
+import { CyncApi, CyncApiError } from '../lib/cync-api.js';
+import { createLog, freePort } from './helpers/homebridge.js';
+
+describe('CyncApi', () => {
+    it('stops retrying a refresh once stopped', async () => {
+        const log = createLog();
+        const api = new CyncApi(log, { apiUrl: `http://127.0.0.1:${await freePort()}/v2`, userID: '1000001', refreshToken: 'token' });
+
+        const authenticating = api.authenticate();
+        setTimeout(() => api.stop(), 200);
+
+        const start = Date.now();
+        assert.equal(await authenticating, false);
+        assert.ok(Date.now() - start < 1000);
+        assert.equal(log.lines.filter(([level]) => level == 'warn').length, 1);
+        assert.equal(log.lines.filter(([level]) => level == 'error').length, 0);
+    });
+
+    it('treats client errors as final, except timeouts and rate limits', () => {
+        assert.equal(new CyncApiError('bad token', 400).isPermanent, true);
+        assert.equal(new CyncApiError('expired', 403).isPermanent, true);
+        assert.equal(new CyncApiError('timeout', 408).isPermanent, false);
+        assert.equal(new CyncApiError('slow down', 429).isPermanent, false);
+        assert.equal(new CyncApiError('down', 503).isPermanent, false);
+    });
+
+    it('keeps retrying a rate-limited refresh', async () => {
+        const server = http.createServer((req, res) => {
+            res.writeHead(429, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ error: { msg: 'too many requests', code: 4290000 } }));
+        });
+        await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+
+        const log = createLog();
+        const api = new CyncApi(log, { apiUrl: `http://127.0.0.1:${server.address().port}/v2`, userID: '1000001', refreshToken: 'token' });
+        try {
+            const authenticating = api.authenticate();
+            await once(server, 'request');
+            await new Promise((resolve) => setTimeout(resolve, 100));
+            assert.equal(log.lines.filter(([level]) => level == 'error').length, 0);
+            assert.ok(log.lines.some(([level, message]) => level == 'warn' && /retrying/.test(message)));
+
+            api.stop();
+            assert.equal(await authenticating, false);
+        }
+        finally {
+            server.close();
+        }
+    });
+});
@@ -0,0 +1,57 @@
+"use strict";
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    applyCapabilityOverrides,
+    combinedCapabilities,
+    DEFAULT_COLOR_TEMP_RANGE,
+    deviceCapabilities,
+    meshIDFromDeviceID
+} from '../lib/devices.js';
+
+describe('meshIDFromDeviceID', () => {
+    // Made-up IDs following the scheme the plugin has always used, not captured from real devices
+    const cases = [
+        // [device ID, home ID, mesh ID]
+        [123456001, 123456, 1],
+        [123456004, 123456, 4],
+        [123456255, 123456, 255],
+        [654321001, 654321, 1],
+        [987654032, 987654, 32],
+        // a high byte in the thousands
+        [123457002, 123456, 258],
+        [123556255, 123456, 100 * 256 + 255],
+        // not a device of the home
+        [123456000, 123456, null],
+        [123456256, 123456, null],
+        [987910001, 987654, null],
+        [123456001.5, 123456, null]
+    ];
+
+    for (const [deviceID, homeID, meshID] of cases) {
+        it(`gives ${meshID} for device ${deviceID} in home ${homeID}`, () => {
+            assert.equal(meshIDFromDeviceID(deviceID, homeID), meshID);
+        });
+    }
+});
+
+describe('deviceCapabilities', () => {
+    it('gives tunable white families their own color temperature range', () => {
+        assert.deepEqual(deviceCapabilities(5).colorTempRange, [2700, 6500]);
+        assert.deepEqual(deviceCapabilities(146).colorTempRange, [2000, 7000]);
+    });
+
+    it('falls back to the default range for other device types', () => {
+        assert.deepEqual(deviceCapabilities(80).colorTempRange, DEFAULT_COLOR_TEMP_RANGE);
+        assert.deepEqual(deviceCapabilities(1).colorTempRange, DEFAULT_COLOR_TEMP_RANGE);
+    });
+
+    it('lets the config override the range', () => {
+        assert.deepEqual(applyCapabilityOverrides(deviceCapabilities(5), { minKelvin: 3000 }).colorTempRange, [3000, 6500]);
+    });
+
+    it('gives a group the range all its tunable members share', () => {
+        assert.deepEqual(combinedCapabilities([5, 146, 1]).colorTempRange, [2700, 6500]);
+    });
+});
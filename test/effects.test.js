@@ -0,0 +1,64 @@
+"use strict";
+
+import { after, before, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { startPlatform, waitFor } from './helpers/homebridge.js';
+
+describe('effects', () => {
+    let started;
+    let api;
+    let server;
+    let light;
+
+    function colorTemperature() {
+        return light.service().getCharacteristic(api.hap.Characteristic.ColorTemperature);
+    }
+
+    before(async () => {
+        started = await startPlatform();
+        ({ api, server } = started);
+        light = started.platform.accounts[0].lightBulbBySwitchID(1001);
+    });
+
+    after(async () => {
+        light.stopEffect();
+        await started.stop();
+    });
+
+    it('keeps running when Adaptive Lighting adjusts the color', async () => {
+        assert.ok(light.adaptiveLighting);
+        light.adaptiveLighting.active = true;
+
+        const fade = light.transition({ on: true, brightness: 100 }, 2000);
+        await colorTemperature().setHandler(250, { controller: light.adaptiveLighting });
+        assert.equal(light.effect?.name, 'transition');
+
+        light.stopEffect();
+        await fade;
+    });
+
+    it('applies the Adaptive Lighting color once the effect ends', async () => {
+        light.adaptiveLighting.active = true;
+
+        const fade = light.transition({ on: true, brightness: 60 }, 300);
+        await colorTemperature().setHandler(250, { controller: light.adaptiveLighting });
+        await fade;
+
+        assert.equal(light.cyncColorTemp, light.cyncFromMireds(250));
+        await waitFor(() => server.deviceBySwitchID(1001).state.colorTemp == light.cyncFromMireds(250));
+        assert.equal(server.deviceBySwitchID(1001).state.brightness, 60);
+    });
+
+    it('stops when the color is set from HomeKit', async () => {
+        const fade = light.transition({ on: true, brightness: 10 }, 2000);
+        const set = colorTemperature().setHandler(250);
+        assert.equal(light.effect, null);
+        await fade;
+        await set;
+    });
+
+    it('lets Adaptive Lighting change the color when no effect is running', async () => {
+        await colorTemperature().setHandler(400, { controller: light.adaptiveLighting });
+        assert.equal(light.colorTemp, light.miredsFromCync(light.cyncFromMireds(400)));
+    });
+});
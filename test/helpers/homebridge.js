@@ -0,0 +1,270 @@
+"use strict";
+
+import { EventEmitter } from 'node:events';
+import { mkdtemp, rm } from 'node:fs/promises';
+import net from 'node:net';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { setTimeout as sleep } from 'node:timers/promises';
+import plugin from '../../index.js';
+import { DEFAULT_MOCK_ACCOUNT, MockCyncServer } from '../../lib/mock-server.js';
+
+/*
+ * Just enough of the Homebridge and HAP-NodeJS API to run the platform outside Homebridge.
+ */
+
+class Characteristic {
+
+    constructor(name) {
+        this.name = name;
+        this.value = null;
+        this.props = {};
+        this.setHandler = null;
+        this.getHandler = null;
+    }
+
+    onSet(handler) {
+        this.setHandler = handler;
+        return this;
+    }
+
+    onGet(handler) {
+        this.getHandler = handler;
+        return this;
+    }
+
+    setProps(props) {
+        Object.assign(this.props, props);
+        return this;
+    }
+
+    updateValue(value) {
+        this.value = value;
+        return this;
+    }
+
+    setValue(value) {
+        return this.updateValue(value);
+    }
+
+}
+
+class Service {
+
+    constructor(displayName, subtype) {
+        this.displayName = displayName;
+        this.subtype = subtype;
+        this.UUID = this.constructor.UUID;
+        this.characteristics = new Map();
+    }
+
+    getCharacteristic(type) {
+        if (!this.characteristics.has(type.name)) {
+            this.characteristics.set(type.name, new Characteristic(type.name));
+        }
+        return this.characteristics.get(type.name);
+    }
+
+    testCharacteristic(type) {
+        return this.characteristics.has(type.name);
+    }
+
+    setCharacteristic(type, value) {
+        this.getCharacteristic(type).updateValue(value);
+        return this;
+    }
+
+    updateCharacteristic(type, value) {
+        return this.setCharacteristic(type, value);
+    }
+
+    addOptionalCharacteristic() {
+    }
+
+}
+
+// any service or characteristic type the plugin asks for
+const services = new Proxy({}, {
+    get: (types, name) => types[name] ??= Object.defineProperty(class extends Service {
+        static UUID = name;
+    }, 'name', { value: name })
+});
+const characteristics = new Proxy({}, {
+    get: (types, name) => types[name] ??= new Proxy({ name }, {
+        // enum values like Characteristic.Active.ACTIVE
+        get: (type, key) => key in type ? type[key] : key
+    })
+});
+
+class PlatformAccessory {
+
+    constructor(displayName, UUID) {
+        this.displayName = displayName;
+        this.UUID = UUID;
+        this.context = {};
+        this.services = [new services.AccessoryInformation()];
+        this.controllers = [];
+    }
+
+    addService(service, ...args) {
+        if (typeof service == 'function') {
+            service = new service(...args);
+        }
+        this.services.push(service);
+        return service;
+    }
+
+    getService(type) {
+        return this.services.find((service) => service.UUID == type.UUID && !service.subtype);
+    }
+
+    getServiceById(type, subtype) {
+        return this.services.find((service) => service.UUID == type.UUID && service.subtype == subtype);
+    }
+
+    removeService(service) {
+        this.services = this.services.filter((other) => other !== service);
+    }
+
+    configureController(controller) {
+        this.controllers.push(controller);
+    }
+
+    removeController(controller) {
+        this.controllers = this.controllers.filter((other) => other !== controller);
+    }
+
+}
+
+class HapStatusError extends Error {
+
+    constructor(status) {
+        super(`HAP status ${status}`);
+        this.hapStatus = status;
+    }
+
+}
+
+class AdaptiveLightingController {
+
+    constructor(service, options) {
+        this.service = service;
+        this.options = options;
+        this.active = false;
+    }
+
+    isAdaptiveLightingActive() {
+        return this.active;
+    }
+
+    disableAdaptiveLighting() {
+        this.active = false;
+    }
+
+}
+
+/**
+ * A log that keeps everything, for tests that check what was logged.
+ */
+export function createLog() {
+    const lines = [];
+    const log = (message) => lines.push(['info', message]);
+    for (const level of ['info', 'warn', 'error', 'debug', 'success']) {
+        log[level] = (message) => lines.push([level, message]);
+    }
+    log.lines = lines;
+    return log;
+}
+
+/**
+ * Creates a fake Homebridge API with the plugin registered, and a storage directory that dispose() removes.
+ * Accessories registered with it are in api.registered.
+ */
+export async function createApi() {
+    const storagePath = await mkdtemp(path.join(tmpdir(), 'homebridge-cync-'));
+    const api = new EventEmitter();
+    api.hap = {
+        Service: services,
+        Characteristic: characteristics,
+        HapStatusError,
+        HAPStatus: { SERVICE_COMMUNICATION_FAILURE: -70402 },
+        AdaptiveLightingController,
+        AdaptiveLightingControllerMode: { AUTOMATIC: 1 },
+        uuid: { generate: (value) => `uuid-${value}` }
+    };
+    api.platformAccessory = PlatformAccessory;
+    api.user = { storagePath: () => storagePath };
+    api.registered = [];
+    api.registerPlatform = (name, constructor) => api.Platform = constructor;
+    api.registerPlatformAccessories = (plugin, platform, accessories) => api.registered.push(...accessories);
+    api.unregisterPlatformAccessories = (plugin, platform, accessories) => {
+        api.registered = api.registered.filter((accessory) => !accessories.includes(accessory));
+    };
+    api.updatePlatformAccessories = () => {};
+    api.dispose = async () => {
+        api.emit('shutdown');
+        await rm(storagePath, { recursive: true, force: true });
+    };
+
+    plugin(api);
+    return api;
+}
+
+/**
+ * Starts a mock Cync server for the account and the platform against it, with the given settings on top of the ones
+ * the server hands out.  beforeLaunch({ server, api, platform, log }) runs before didFinishLaunching, for tests that
+ * watch the startup.  Unless wait is false, resolves once every device has been discovered and reported its state.
+ *
+ * stop() shuts the platform down and stops the server.
+ */
+export async function startPlatform(config = {}, account = DEFAULT_MOCK_ACCOUNT, { beforeLaunch, wait = true } = {}) {
+    const server = new MockCyncServer(account, createLog());
+    const platformConfig = { platform: 'Cync', name: 'Cync', ...await server.start(), ...config };
+    const api = await createApi();
+    const log = createLog();
+    const platform = new api.Platform(log, platformConfig, api);
+    const started = { server, api, platform, log, config: platformConfig };
+
+    await beforeLaunch?.(started);
+    api.emit('didFinishLaunching');
+    if (wait) {
+        await waitFor(() => {
+            const lights = platform.accounts.flatMap((account) => account.lights);
+            return lights.length == server.devices.length && lights.every((light) => light.accessory.context.state);
+        });
+    }
+
+    started.stop = async () => {
+        await api.dispose();
+        await server.stop();
+    };
+    return started;
+}
+
+/**
+ * Resolves once check() returns something truthy, or rejects after the timeout.
+ */
+export async function waitFor(check, timeout = 5000) {
+    const start = Date.now();
+    for (;;) {
+        const result = check();
+        if (result) {
+            return result;
+        }
+        if (Date.now() - start > timeout) {
+            throw new Error('timed out waiting for condition');
+        }
+        await sleep(20);
+    }
+}
+
+/**
+ * A port nothing is listening on right now.
+ */
+export async function freePort() {
+    const server = net.createServer();
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+    const port = server.address().port;
+    await new Promise((resolve) => server.close(resolve));
+    return port;
+}
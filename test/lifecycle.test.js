@@ -0,0 +1,103 @@
+"use strict";
+
+import { after, before, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { setTimeout as sleep } from 'node:timers/promises';
+import { STATE_STOPPED } from '../lib/connection.js';
+import { startPlatform, waitFor } from './helpers/homebridge.js';
+
+describe('platform against the mock server', () => {
+    let started;
+    let server;
+    let api;
+    let platform;
+    const messages = [];
+
+    before(async () => {
+        started = await startPlatform({}, undefined, {
+            wait: false,
+            beforeLaunch: ({ server }) => {
+                server.on('message', (message) => messages.push(message));
+                server.deviceBySwitchID(1001).state = { on: true, brightness: 30, colorTemp: 20, rgb: [255, 255, 255] };
+            }
+        });
+        ({ server, api, platform } = started);
+    });
+
+    after(() => started.stop());
+
+    it('logs into the TCP server', async () => {
+        await waitFor(() => platform.accounts[0].connection.connected);
+        const auth = messages.find((message) => message.type == 'auth');
+        assert.equal(auth.userID, 1000001);
+        assert.equal(auth.authorize, 'mock-authorize');
+    });
+
+    it('discovers the devices', async () => {
+        await waitFor(() => platform.accounts[0].lights.length == 4);
+        assert.deepEqual(platform.accounts[0].lights.map((light) => light.name).sort(),
+            ['Mock Color Bulb', 'Mock Dimmable Bulb', 'Mock Plug', 'Mock White Bulb']);
+        assert.equal(api.registered.length, 4);
+    });
+
+    it('picks up the state from a status query', async () => {
+        // every light saves the state its first status brings
+        await waitFor(() => platform.accounts[0].lights.every((light) => light.accessory.context.state));
+        const light = platform.accounts[0].lightBulbBySwitchID(1001);
+        assert.equal(light.on, true);
+        assert.equal(light.brightness, 30);
+        assert.equal(light.cyncColorTemp, 20);
+        assert.equal(light.isReachable(), true);
+    });
+
+    it('resolves a change once the server acknowledges it', async () => {
+        const light = platform.accounts[0].lightBulbBySwitchID(1003);
+        await light.applyState({ on: true, brightness: 40 });
+        assert.deepEqual(server.deviceBySwitchID(1003).state, { on: true, brightness: 40, colorTemp: 50, rgb: [255, 255, 255] });
+        assert.ok(messages.some((message) => message.type == 'set-state' && message.switchID == 1003 && message.brightness == 40));
+    });
+
+    it('applies changes pushed by the server', async () => {
+        const light = platform.accounts[0].lightBulbBySwitchID(1002);
+        server.setDeviceState(1002, { on: true, brightness: 77 });
+        await waitFor(() => light.on && light.brightness == 77);
+        assert.equal(light.onCharacteristic().value, true);
+    });
+});
+
+describe('shutting down during the first login', () => {
+    let started;
+    let api;
+    let platform;
+
+    before(async () => {
+        let refreshed;
+        started = await startPlatform({}, undefined, {
+            wait: false,
+            beforeLaunch: ({ server, api }) => {
+                // Homebridge shuts down while the token refresh is still on its way back
+                refreshed = new Promise((resolve) => server.on('request', (method, pathname) => {
+                    if (pathname.endsWith('/user/token/refresh')) {
+                        api.emit('shutdown');
+                        resolve();
+                    }
+                }));
+            }
+        });
+        ({ api, platform } = started);
+        await refreshed;
+        await sleep(300);
+    });
+
+    after(() => started.stop());
+
+    it('does not discover devices or start timers', () => {
+        const account = platform.accounts[0];
+        assert.equal(account.authenticated, false);
+        assert.equal(account.discovering, null);
+        assert.equal(account.discoveryTimer, null);
+        assert.equal(account.lights.length, 0);
+        assert.equal(api.registered.length, 0);
+        assert.equal(account.connection.state, STATE_STOPPED);
+    });
+});
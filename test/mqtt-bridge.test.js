@@ -0,0 +1,93 @@
+"use strict";
+
+import { after, before, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import net from 'node:net';
+import { Aedes } from 'aedes';
+import mqtt from 'mqtt';
+import { startPlatform, waitFor } from './helpers/homebridge.js';
+
+describe('MQTT bridge', () => {
+    let broker;
+    let brokerServer;
+    let started;
+    let server;
+    let api;
+    let platform;
+    let log;
+    let client;
+    const retained = new Map();
+
+    before(async () => {
+        broker = await Aedes.createBroker();
+        brokerServer = net.createServer(broker.handle);
+        await new Promise((resolve) => brokerServer.listen(0, '127.0.0.1', resolve));
+        const url = `mqtt://127.0.0.1:${brokerServer.address().port}`;
+
+        client = await mqtt.connectAsync(url);
+        client.on('message', (topic, payload) => retained.set(topic, payload.toString()));
+        await client.subscribeAsync('#');
+
+        started = await startPlatform({ mqttUrl: url });
+        ({ server, api, platform, log } = started);
+    });
+
+    after(async () => {
+        await started.stop();
+        await client.endAsync();
+        await new Promise((resolve) => broker.close(resolve));
+        await new Promise((resolve) => brokerServer.close(resolve));
+    });
+
+    it('announces lights to Home Assistant', async () => {
+        const id = platform.accounts[0].lightBulbBySwitchID(1001).accessory.UUID;
+        const config = JSON.parse(await waitFor(() => retained.get(`homeassistant/light/${id}/config`)));
+        assert.equal(config.schema, 'json');
+        assert.equal(config.command_topic, `cync/${id}/set`);
+        assert.deepEqual(config.supported_color_modes, ['color_temp', 'rgb']);
+
+        const plug = platform.accounts[0].lightBulbBySwitchID(1004).accessory.UUID;
+        await waitFor(() => retained.get(`homeassistant/switch/${plug}/config`));
+        assert.equal(retained.get('cync/bridge/availability'), 'online');
+        assert.equal(retained.get(`cync/${id}/availability`), 'online');
+    });
+
+    it('changes a light from a set command', async () => {
+        const light = platform.accounts[0].lightBulbBySwitchID(1001);
+        const id = light.accessory.UUID;
+        client.publish(`cync/${id}/set`, JSON.stringify({ state: 'ON', brightness: 30, color: { r: 255, g: 0, b: 0 } }));
+
+        await waitFor(() => server.deviceBySwitchID(1001).state.brightness == 30);
+        assert.deepEqual(server.deviceBySwitchID(1001).state.rgb, [255, 0, 0]);
+
+        const state = await waitFor(() => {
+            const state = JSON.parse(retained.get(`cync/${id}/state`));
+            return state.brightness == 30 && state;
+        });
+        assert.equal(state.state, 'ON');
+        assert.equal(state.color_mode, 'rgb');
+    });
+
+    it('ignores set commands that are not JSON objects', async () => {
+        const light = platform.accounts[0].lightBulbBySwitchID(1003);
+        const id = light.accessory.UUID;
+        for (const payload of ['null', '[1]', '"ON"', '42']) {
+            client.publish(`cync/${id}/set`, payload);
+        }
+        client.publish(`cync/${id}/set`, JSON.stringify({ state: 'ON', brightness: 45 }));
+
+        await waitFor(() => server.deviceBySwitchID(1003).state.brightness == 45);
+        assert.equal(log.lines.filter(([level, message]) => level == 'warn' && /isn't a JSON object/.test(message)).length, 4);
+    });
+
+    it('publishes changes made outside MQTT', async () => {
+        const id = platform.accounts[0].lightBulbBySwitchID(1002).accessory.UUID;
+        server.setDeviceState(1002, { on: true, brightness: 64 });
+        await waitFor(() => JSON.parse(retained.get(`cync/${id}/state`) ?? '{}').brightness == 64);
+    });
+
+    it('marks the bridge offline on shutdown', async () => {
+        api.emit('shutdown');
+        await waitFor(() => retained.get('cync/bridge/availability') == 'offline');
+    });
+});
@@ -0,0 +1,95 @@
+"use strict";
+
+import { after, before, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { DEFAULT_MOCK_ACCOUNT } from '../lib/mock-server.js';
+import { encodeStatus, encodeStatusSync } from '../lib/protocol.js';
+import { startPlatform, waitFor } from './helpers/homebridge.js';
+
+// a second home with the same mesh IDs as the first, behind different switches
+function twoHomeAccount() {
+    const account = structuredClone(DEFAULT_MOCK_ACCOUNT);
+    const lab = structuredClone(account.homes[0]);
+    lab.id = 654321;
+    lab.product_id = 'mock-product-lab';
+    lab.name = 'Lab';
+    lab.bulbs = lab.bulbs.map((bulb) => ({ ...bulb, switchID: bulb.switchID + 1000, displayName: `Lab ${bulb.displayName}` }));
+    account.homes.push(lab);
+    return account;
+}
+
+describe('lights in several homes', () => {
+    let started;
+    let server;
+    let account;
+
+    function light(switchID) {
+        return account.lightBulbBySwitchID(switchID);
+    }
+
+    // every light's state, so a test can check nothing else changed
+    function snapshot() {
+        return new Map(account.lights.map((light) => [light.switchID, JSON.stringify(light.cyncState())]));
+    }
+
+    function assertOnlyChanged(before, switchID) {
+        for (const [other, state] of snapshot()) {
+            if (other == switchID) {
+                assert.notEqual(state, before.get(other), `switch ${other} should have changed`);
+            }
+            else {
+                assert.equal(state, before.get(other), `switch ${other} should not have changed`);
+            }
+        }
+    }
+
+    before(async () => {
+        started = await startPlatform({}, twoHomeAccount());
+        server = started.server;
+        account = started.platform.accounts[0];
+    });
+
+    after(() => started.stop());
+
+    it('gives lights in different homes the same mesh IDs', () => {
+        assert.equal(light(1001).meshID, 1);
+        assert.equal(light(2001).meshID, 1);
+        assert.notEqual(light(1001).homeID, light(2001).homeID);
+    });
+
+    it('applies a sync to the light in the home of the switch that sent it', async () => {
+        for (const switchID of [2001, 1001]) {
+            const before = snapshot();
+            server.setDeviceState(switchID, { on: true, brightness: switchID == 1001 ? 11 : 22 });
+            await waitFor(() => light(switchID).brightness == (switchID == 1001 ? 11 : 22));
+            assertOnlyChanged(before, switchID);
+        }
+    });
+
+    it('applies a status sync to the light in the home of the switch that sent it', async () => {
+        for (const switchID of [1002, 2002]) {
+            const before = snapshot();
+            const brightness = switchID == 1002 ? 33 : 44;
+            server.broadcast(encodeStatusSync({ switchID, meshID: 2, on: true, brightness }));
+            await waitFor(() => light(switchID).brightness == brightness);
+            assertOnlyChanged(before, switchID);
+        }
+    });
+
+    it('applies a status to the lights in the home of the switch that sent it', async () => {
+        for (const switchID of [2003, 1003]) {
+            const before = snapshot();
+            const brightness = switchID == 1003 ? 55 : 66;
+            const states = [{ meshID: 3, on: true, brightness, colorTemp: 10, rgb: [1, 2, 3] }];
+            server.broadcast(encodeStatus({ switchID, seq: 1, states }));
+            await waitFor(() => light(switchID).brightness == brightness);
+            assertOnlyChanged(before, switchID);
+        }
+    });
+
+    it('sends a change through the light\'s own switch', async () => {
+        await light(2004).applyState({ on: true });
+        assert.equal(server.deviceBySwitchID(2004).state.on, true);
+        assert.equal(server.deviceBySwitchID(1004).state.on, false);
+    });
+});
@@ -0,0 +1,160 @@
+"use strict";
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { Buffer } from 'node:buffer';
+import {
+    decodeClientMessage,
+    decodePacket,
+    decodeServerMessage,
+    encodeAuth,
+    encodeConnectedQuery,
+    encodeSetState,
+    encodeStatus,
+    encodeStatusAck,
+    encodeStatusQuery,
+    encodeStatusSync,
+    encodeSync,
+    PacketReader,
+    setStateChecksum
+} from '../lib/protocol.js';
+
+/*
+ * Packets as the plugin sent and received them before the protocol moved into lib/protocol.js.  Anything that
+ * changes these bytes changes what goes over the wire.
+ */
+const FIXTURES = {
+    // user 1000001 logging in with authorize token "abcd"
+    auth: '130000000e03000f42410004616263640000b4',
+    // switch 1001, seq 4
+    connectedQuery: 'a300000007000003e9000400',
+    // switch 1001, seq 5
+    statusAck: '7300000007000003e9000500',
+    // switch 1001, seq 3
+    statusQuery: '7300000018000003e90003007e00000000f85206000000ffff0000567e',
+    // switch 1001, seq 9: mesh 1 on, brightness 40, color temperature 50, rgb 255,128,0, checksum 0xcb
+    setState: '7300000022000003e90009007e00000000f8f0100000000000000001f00000012832ff8000cb7e',
+    // response to seq 3 from switch 1001: mesh 1 on at 80, temp 20, white; mesh 2 off, temp 70, rgb 10,20,30
+    paginatedStatus: '7b00000048000003e90003007e00000000f85236000000000000000100000000000000010000005000000014000000ffffff0002000000000000000000000037000000460000000a141e00007e',
+    // switch 1002: mesh 2 on at 33, temp 90; mesh 3 off
+    sync: '430000002d000003ea0000000000000201215a00000000000000000000000000000003003c00000000000000000000000000',
+    // switch 1003: mesh 3 on at 64
+    statusSync: '8300000021000003eb0000000000000000000000000000000000030000000000014000000000'
+};
+
+function packet(name) {
+    return decodePacket(Buffer.from(FIXTURES[name], 'hex'));
+}
+
+describe('client messages', () => {
+    it('encodes the login packet', () => {
+        assert.equal(encodeAuth({ userID: '1000001', authorize: 'abcd' }).toString('hex'), FIXTURES.auth);
+        assert.deepEqual(decodeClientMessage(packet('auth')), { type: 'auth', userID: 1000001, authorize: 'abcd' });
+    });
+
+    it('encodes connected queries, status acks and status queries', () => {
+        assert.equal(encodeConnectedQuery({ switchID: 1001, seq: 4 }).toString('hex'), FIXTURES.connectedQuery);
+        assert.equal(encodeStatusAck({ switchID: 1001, seq: 5 }).toString('hex'), FIXTURES.statusAck);
+        assert.equal(encodeStatusQuery({ switchID: 1001, seq: 3 }).toString('hex'), FIXTURES.statusQuery);
+    });
+
+    it('encodes a set state with its checksum', () => {
+        const state = { meshID: 1, on: true, brightness: 40, colorTemp: 50, rgb: [255, 128, 0] };
+        assert.equal(setStateChecksum(state), 0xcb);
+        assert.equal(encodeSetState({ switchID: 1001, seq: 9, ...state }).toString('hex'), FIXTURES.setState);
+    });
+
+    it('decodes a set state and checks its checksum', () => {
+        const message = decodeClientMessage(packet('setState'));
+        assert.equal(message.type, 'set-state');
+        assert.equal(message.switchID, 1001);
+        assert.equal(message.seq, 9);
+        assert.deepEqual(
+            { meshID: message.meshID, on: message.on, brightness: message.brightness, colorTemp: message.colorTemp, rgb: message.rgb },
+            { meshID: 1, on: true, brightness: 40, colorTemp: 50, rgb: [255, 128, 0] }
+        );
+
+        const corrupt = Buffer.from(FIXTURES.setState, 'hex');
+        corrupt[corrupt.length - 2] ^= 1;
+        assert.throws(() => decodeClientMessage(decodePacket(corrupt)), /checksum mismatch/);
+    });
+});
+
+describe('server messages', () => {
+    it('decodes a paginated status', () => {
+        assert.deepEqual(decodeServerMessage(packet('paginatedStatus')), {
+            type: 'status',
+            isResponse: true,
+            switchID: 1001,
+            seq: 3,
+            subtype: 0x52,
+            states: [
+                { meshID: 1, on: true, brightness: 80, colorTemp: 20, rgb: [255, 255, 255] },
+                { meshID: 2, on: false, brightness: 0, colorTemp: 70, rgb: [10, 20, 30] }
+            ]
+        });
+    });
+
+    it('round-trips a paginated status', () => {
+        const states = [
+            { meshID: 1, on: true, brightness: 80, colorTemp: 20, rgb: [255, 255, 255] },
+            { meshID: 2, on: false, brightness: 0, colorTemp: 70, rgb: [10, 20, 30] }
+        ];
+        const encoded = encodeStatus({ switchID: 1001, seq: 3, states, isResponse: true });
+        assert.deepEqual(decodeServerMessage(decodePacket(encoded)).states, states);
+    });
+
+    it('decodes a sync', () => {
+        assert.deepEqual(decodeServerMessage(packet('sync')), {
+            type: 'sync',
+            switchID: 1002,
+            states: [
+                { meshID: 2, on: true, brightness: 33, colorTemp: 90 },
+                { meshID: 3, on: false, brightness: 0, colorTemp: 0 }
+            ]
+        });
+
+        const states = [{ meshID: 2, on: true, brightness: 33, colorTemp: 90 }, { meshID: 3, on: false, brightness: 60, colorTemp: 0 }];
+        assert.equal(encodeSync({ switchID: 1002, states }).toString('hex'), FIXTURES.sync);
+    });
+
+    it('decodes a status sync', () => {
+        assert.deepEqual(decodeServerMessage(packet('statusSync')), {
+            type: 'status-sync',
+            switchID: 1003,
+            states: [{ meshID: 3, on: true, brightness: 64 }]
+        });
+        assert.equal(encodeStatusSync({ switchID: 1003, meshID: 3, on: true, brightness: 64 }).toString('hex'), FIXTURES.statusSync);
+    });
+});
+
+describe('PacketReader', () => {
+    function read(chunks) {
+        const reader = new PacketReader();
+        const packets = [];
+        const corrupt = [];
+        reader.on('packet', (packet) => packets.push(packet));
+        reader.on('corrupt', (header, bytes) => corrupt.push(bytes));
+        for (const chunk of chunks) {
+            reader.push(Buffer.from(chunk, 'hex'));
+        }
+        return { packets, corrupt };
+    }
+
+    it('reassembles a header split across chunks', () => {
+        const { packets } = read([FIXTURES.sync.slice(0, 6), FIXTURES.sync.slice(6, 20), FIXTURES.sync.slice(20)]);
+        assert.equal(packets.length, 1);
+        assert.equal(decodeServerMessage(packets[0]).switchID, 1002);
+    });
+
+    it('splits several packets in one chunk', () => {
+        const { packets } = read([FIXTURES.statusSync + FIXTURES.sync + FIXTURES.paginatedStatus.slice(0, 40), FIXTURES.paginatedStatus.slice(40)]);
+        assert.deepEqual(packets.map((packet) => decodeServerMessage(packet).type), ['status-sync', 'sync', 'status']);
+    });
+
+    it('stops reading after a corrupt length', () => {
+        const { packets, corrupt } = read([FIXTURES.statusSync, '43ffffffff00', FIXTURES.sync]);
+        assert.equal(packets.length, 1);
+        assert.deepEqual(corrupt, ['43ffffffff']);
+    });
+});
@@ -0,0 +1,49 @@
+"use strict";
+
+import { after, before, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { startPlatform } from './helpers/homebridge.js';
+
+describe('renaming devices', () => {
+    let started;
+    let server;
+    let api;
+    let platform;
+    const updated = [];
+
+    function nameOf(service) {
+        return service.getCharacteristic(api.hap.Characteristic.Name).value;
+    }
+
+    before(async () => {
+        started = await startPlatform({ effectSwitches: true }, undefined, {
+            beforeLaunch: ({ api }) => api.updatePlatformAccessories = (accessories) => updated.push(...accessories)
+        });
+        ({ server, api, platform } = started);
+    });
+
+    after(() => started.stop());
+
+    it('shows a name changed in the Cync app in HomeKit', async () => {
+        server.deviceBySwitchID(1001).displayName = 'Desk Lamp';
+        updated.length = 0;
+        await platform.accounts[0].discover();
+
+        const light = platform.accounts[0].lightBulbBySwitchID(1001);
+        const accessory = light.accessory;
+        assert.equal(light.name, 'Desk Lamp');
+        assert.equal(accessory.displayName, 'Desk Lamp');
+        assert.equal(nameOf(light.service()), 'Desk Lamp');
+        assert.equal(nameOf(accessory.getServiceById(api.hap.Service.Switch, 'effect-candle')), 'Desk Lamp Candle');
+        assert.ok(updated.includes(accessory));
+    });
+
+    it('shows a name from the config in HomeKit', async () => {
+        platform.accounts[0].config.devices = [{ id: 'Mock Plug', name: 'Kettle' }];
+        await platform.accounts[0].discover();
+
+        const light = platform.accounts[0].lightBulbBySwitchID(1004);
+        assert.equal(light.accessory.displayName, 'Kettle');
+        assert.equal(nameOf(light.service()), 'Kettle');
+    });
+});
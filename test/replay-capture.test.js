@@ -0,0 +1,47 @@
+"use strict";
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFile } from 'node:child_process';
+import { mkdtemp, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import process from 'node:process';
+import { promisify } from 'node:util';
+import { encodeStatus, encodeStatusSync } from '../lib/protocol.js';
+
+const REPLAY_CAPTURE = new URL('../bin/replay-capture', import.meta.url).pathname;
+
+describe('replay-capture', () => {
+    it('follows each light through the switches that report on it', async () => {
+        const dir = await mkdtemp(path.join(tmpdir(), 'cync-capture-'));
+        try {
+            // switch 1001 answers a status query for both lights, then mesh 2 reports through its own switch
+            const records = [
+                encodeStatus({
+                    switchID: 1001,
+                    seq: 3,
+                    isResponse: true,
+                    states: [
+                        { meshID: 1, on: true, brightness: 80, colorTemp: 20, rgb: [255, 255, 255] },
+                        { meshID: 2, on: false, brightness: 0, colorTemp: 70, rgb: [10, 20, 30] }
+                    ]
+                }),
+                encodeStatusSync({ switchID: 1002, meshID: 2, on: true, brightness: 50 })
+            ].map((packet, i) => JSON.stringify({ time: `t${i}`, direction: 'in', hex: packet.toString('hex') }));
+            const file = path.join(dir, 'capture.jsonl');
+            await writeFile(file, `${records.join('\n')}\n`);
+
+            const { stdout } = await promisify(execFile)(process.execPath, [REPLAY_CAPTURE, file]);
+            assert.deepEqual(stdout.trim().split('\n'), [
+                't0  mesh 1: on, brightness 80, temp 20, rgb 255,255,255  (status from switch 1001)',
+                't0  mesh 2: off, brightness 0, temp 70, rgb 10,20,30  (status from switch 1001)',
+                't1  mesh 2: on, brightness 50, temp 70, rgb 10,20,30  (status-sync from switch 1002)',
+                'Replayed 2 packets, 2 lights seen.'
+            ]);
+        }
+        finally {
+            await rm(dir, { recursive: true, force: true });
+        }
+    });
+});
@@ -0,0 +1,89 @@
+"use strict";
+
+import { after, before, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { once } from 'node:events';
+import { createApi, createLog, freePort, startPlatform } from './helpers/homebridge.js';
+
+describe('cached accessories', () => {
+    let server;
+    let config;
+    let cached;
+    let api;
+    let platform;
+
+    before(async () => {
+        // a first run discovers the lights and leaves them cached; the server stays up for the runs after it
+        const first = await startPlatform();
+        ({ server, config } = first);
+        await first.platform.accounts[0].lightBulbBySwitchID(1001).applyState({ on: true, brightness: 42 });
+        cached = first.api.registered;
+        await first.api.dispose();
+    });
+
+    after(async () => {
+        await api?.dispose();
+        await server.stop();
+    });
+
+    it('are usable while the Cync API is down', async () => {
+        api = await createApi();
+        platform = new api.Platform(createLog(), { ...config, apiUrl: `http://127.0.0.1:${await freePort()}/v2` }, api);
+        for (const accessory of cached) {
+            platform.configureAccessory(accessory);
+        }
+        api.emit('didFinishLaunching');
+
+        assert.equal(platform.allLights().length, 4);
+        const light = platform.accounts[0].lightBulbBySwitchID(1001);
+        assert.equal(light.on, true);
+        assert.equal(light.brightness, 42);
+        assert.equal(typeof light.onCharacteristic().setHandler, 'function');
+        assert.equal(typeof light.onCharacteristic().getHandler, 'function');
+
+        // the TCP server is still up, so commands get through
+        await light.applyState({ brightness: 17 });
+        assert.equal(server.deviceBySwitchID(1001).state.brightness, 17);
+    });
+
+    it('are taken over by discovery', async () => {
+        await api.dispose();
+
+        api = await createApi();
+        platform = new api.Platform(createLog(), config, api);
+        for (const accessory of cached) {
+            platform.configureAccessory(accessory);
+        }
+        const discovered = once(platform, 'discovered');
+        api.emit('didFinishLaunching');
+        const restored = platform.accounts[0].lights.slice();
+        assert.equal(restored.length, 4);
+
+        await discovered;
+        assert.deepEqual(platform.accounts[0].lights, restored);
+        assert.equal(api.registered.length, 0);
+    });
+
+    it('are kept when discovery skips their device', async () => {
+        await api.dispose();
+
+        // a new device takes the plug's mesh ID, so discovery skips the plug
+        const plug = server.deviceBySwitchID(1004);
+        server.devices.unshift({ ...plug, deviceID: plug.home.id * 1001 + plug.meshID, switchID: 1005, displayName: 'Mock Plug 2' });
+
+        api = await createApi();
+        const log = createLog();
+        platform = new api.Platform(log, config, api);
+        for (const accessory of cached) {
+            platform.configureAccessory(accessory);
+        }
+        const discovered = once(platform, 'discovered');
+        api.emit('didFinishLaunching');
+        await discovered;
+        server.devices.shift();
+
+        assert.ok(log.lines.some(([level, message]) => level == 'warn' && message.startsWith('Skipping Mock Plug:')));
+        assert.ok(platform.accessories.some((accessory) => accessory.context.switchID == 1004));
+        assert.equal(platform.accessories.length, 5);
+    });
+});
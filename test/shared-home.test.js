@@ -0,0 +1,55 @@
+"use strict";
+
+import { after, before, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { MockCyncServer, DEFAULT_MOCK_ACCOUNT } from '../lib/mock-server.js';
+import { createLog, startPlatform, waitFor } from './helpers/homebridge.js';
+
+// another login that was invited to the same home
+function invitedAccount() {
+    return { ...structuredClone(DEFAULT_MOCK_ACCOUNT), userID: '1000002', refreshToken: 'invited-refresh-token', authorize: 'invited-authorize' };
+}
+
+describe('a home shared by two accounts', () => {
+    let invitedServer;
+    let started;
+    let api;
+    let log;
+    let platform;
+
+    function owners() {
+        return api.registered.map((accessory) => accessory.context.userID);
+    }
+
+    before(async () => {
+        invitedServer = new MockCyncServer(invitedAccount(), createLog());
+        started = await startPlatform({ accounts: [await invitedServer.start()] });
+        ({ api, log, platform } = started);
+
+        await waitFor(() => platform.accounts.every((account) => account.sharedUUIDs.size > 0 || account.lights.length == 4));
+        await Promise.all(platform.accounts.map((account) => account.discovering));
+    });
+
+    after(async () => {
+        await started.stop();
+        await invitedServer.stop();
+    });
+
+    it('adds each device once, to whichever account found it first', () => {
+        assert.equal(api.registered.length, 4);
+        assert.equal(new Set(owners()).size, 1);
+        assert.equal(platform.allLights().length, 4);
+        assert.ok(log.lines.some(([level, message]) => level == 'warn' && /shares its home and already added it/.test(message)));
+    });
+
+    it('keeps the accessories with the same account on later discoveries', async () => {
+        const before = owners();
+        for (const account of [...platform.accounts, ...platform.accounts]) {
+            await account.discover();
+        }
+
+        assert.deepEqual(owners(), before);
+        assert.equal(api.registered.length, 4);
+        assert.equal(platform.allLights().length, 4);
+    });
+});